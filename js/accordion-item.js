@@ -39,6 +39,9 @@ var Lang = Y.Lang,
     C_ICONEXPANDED = getCN( AccItemName, "iconexpanded" ),
     C_ICONCLOSE = getCN( AccItemName, "iconclose" ),
     C_ICONCLOSE_HIDDEN = getCN( AccItemName, "iconclose", "hidden" ),
+    C_ICONRETRY = getCN( AccItemName, "iconretry" ),
+    C_ICONRETRY_HIDDEN = getCN( AccItemName, "iconretry", "hidden" ),
+    C_HEADERACTION = getCN( AccItemName, "headeraction" ),
 
     C_ICONEXPANDED_ON = getCN( AccItemName, "iconexpanded", "on" ),
     C_ICONEXPANDED_OFF = getCN( AccItemName, "iconexpanded", "off" ),
@@ -48,8 +51,13 @@ var Lang = Y.Lang,
 
     C_EXPANDED =  getCN( AccItemName, "expanded" ),
     C_CLOSABLE =  getCN( AccItemName, "closable" ),
+    C_NOICONALWAYSVISIBLE =  getCN( AccItemName, "noiconalwaysvisible" ),
+    C_NOICONEXPANDED =  getCN( AccItemName, "noiconexpanded" ),
     C_ALWAYSVISIBLE =  getCN( AccItemName, "alwaysvisible" ),
     C_CONTENTHEIGHT =  getCN( AccItemName, "contentheight" ),
+    C_LOADING =  getCN( AccItemName, "loading" ),
+    C_ERROR =  getCN( AccItemName, "error" ),
+    C_ERRORMESSAGE =  getCN( AccItemName, "errormessage" ),
 
     TITLE = "title",
     STRINGS = "strings",
@@ -69,10 +77,36 @@ var Lang = Y.Lang,
     ICON_ALWAYSVISIBLE = "iconAlwaysVisible",
     ICON_EXPANDED = "iconExpanded",
     ICON_CLOSE = "iconClose",
+    ICON_RETRY = "iconRetry",
     HREF = "href",
     HREF_VALUE = "#",
     YUICONFIG = "yuiConfig",
-    HEADER_CONTENT = "headerContent";
+    HEADER_CONTENT = "headerContent",
+    ID = "id",
+    ROLE = "role",
+    TAB_INDEX = "tabIndex",
+    ARIA_EXPANDED = "aria-expanded",
+    ARIA_CONTROLS = "aria-controls",
+    ARIA_LABELLEDBY = "aria-labelledby",
+    ARIA_PRESSED = "aria-pressed",
+    ARIA_HIDDEN = "aria-hidden",
+    ARIA_BUSY = "aria-busy",
+    ARIA_DISABLED = "aria-disabled",
+    DISABLED = "disabled",
+    BOUNDING_BOX = "boundingBox",
+    CONTENT_SOURCE = "contentSource",
+    CONTENT_STATE = "contentState",
+    CONTENT_ERROR = "contentError",
+    STATE_NONE = "none",
+    STATE_LOADING = "loading",
+    STATE_LOADED = "loaded",
+    STATE_ERROR = "error",
+    ANIMATION = "animation",
+    HIDDEN = "hidden",
+    SHOW_ICON_ALWAYSVISIBLE = "showIconAlwaysVisible",
+    SHOW_ICON_EXPANDED = "showIconExpanded",
+    LABEL = "label",
+    LABEL_IS_HTML = "labelIsHTML";
 
 /**
  *  Static property provides a string to identify the class.
@@ -108,17 +142,32 @@ AccordionItem.ATTRS = {
     },
 
     /**
-     * @description The label of the item
+     * @description The label of the item. It will be rendered as text, unless <code>labelIsHTML</code> is true.
+     * When the label is parsed from markup, the text of the label node is used, unless <code>labelIsHTML</code>
+     * is true, in which case its inner HTML is used.
      *
      * @attribute label
-     * @default "&#160;"
+     * @default "\u00a0"
      * @type String
      */
     label: {
-        value: "&#160;",
+        value: "\u00a0",
         validator: Lang.isString
     },
 
+    /**
+     * @description Whether or not the label should be rendered as HTML. Set it to true only if the label
+     * comes from a trusted source, otherwise the label will be escaped.
+     *
+     * @attribute labelIsHTML
+     * @default false
+     * @type Boolean
+     */
+    labelIsHTML: {
+        value: false,
+        validator: Lang.isBoolean
+    },
+
     /**
      * @description The node, contains label
      *
@@ -192,6 +241,20 @@ AccordionItem.ATTRS = {
         }
     },
 
+    /**
+     * @description Icon retry, shown when loading of the content from <code>contentSource</code> has failed
+     *
+     * @attribute iconRetry
+     * @default null
+     * @type Node
+     */
+    iconRetry: {
+        value: null,
+        validator: function( value ){
+            return value instanceof Node;
+        }
+    },
+
     /**
      * @description Get/Set the expanded status of the item
      *
@@ -209,10 +272,21 @@ AccordionItem.ATTRS = {
      * the item. The value should be an object with at least one property ("method"):
      *  <dl>
      *      <dt>method</dt>
-     *          <dd>The method can be one of these: "auto", "fixed" and "stretch"</dd>
+     *          <dd>The method can be one of these: "auto", "fixed" and "stretch". Expanded "auto" items follow
+     *          the changes of their content. Added or removed nodes and changed text are noticed only in browsers
+     *          with MutationObserver, in the other browsers only loaded images are noticed</dd>
      *      <dt>height</dt>
      *          <dd>Must be set only if method's value is "fixed"</dd>
+     *      <dt>weight</dt>
+     *          <dd>Might be set only if method's value is "stretch". The space, available for stretch items,
+     *          will be distributed proportionally to their weights. Default is 1</dd>
+     *      <dt>min</dt>
+     *          <dd>Might be set only if method's value is "stretch". The minimal height of the item</dd>
+     *      <dt>max</dt>
+     *          <dd>Might be set only if method's value is "stretch". The maximal height of the item</dd>
      *  </dl>
+     * In markup, the stretch settings can be set by class name, for example
+     * <code>yui-accordion-item-contentheight-stretch-w2-min100-max400</code>
      *
      * @attribute contentHeight
      * @default auto
@@ -227,7 +301,10 @@ AccordionItem.ATTRS = {
                 if( value.method === AUTO ){
                     return true;
                 } else if( value.method === STRETCH ){
-                    return true;
+                    return ( !Lang.isValue( value.weight ) || ( Lang.isNumber( value.weight ) && value.weight > 0 ) ) &&
+                        ( !Lang.isValue( value.min ) || ( Lang.isNumber( value.min ) && value.min >= 0 ) ) &&
+                        ( !Lang.isValue( value.max ) || ( Lang.isNumber( value.max ) &&
+                            value.max >= ( Lang.isNumber( value.min ) ? value.min : 0 ) ) );
                 } else if( value.method === FIXED && Lang.isNumber( value.height ) &&
                     value.height >= 0 ){
                     return true;
@@ -277,7 +354,69 @@ AccordionItem.ATTRS = {
             title_always_visible_on: "Click to set always visible off",
             title_iconexpanded_off: "Click to expand",
             title_iconexpanded_on: "Click to collapse",
-            title_iconclose: "Click to close"
+            title_iconclose: "Click to close",
+            title_iconretry: "Click to load the content again",
+            content_error: "The content could not be loaded"
+        }
+    },
+
+    /**
+     * @description The overflow of item's body, applied when the item is expanded. The value must be
+     * one of these: "hidden", "scroll", "auto" or null. If null, Accordion's <code>overflow</code> setting will be used.
+     *
+     * @attribute overflow
+     * @default null
+     * @type String
+     */
+    overflow: {
+        value: null,
+        validator: function( value ){
+            return value === null || value === HIDDEN || value === "scroll" || value === AUTO;
+        }
+    },
+
+    /**
+     * @description Whether or not the always visible icon should be shown in item's header.
+     * If null, Accordion's <code>showIconAlwaysVisible</code> setting will be used.
+     *
+     * @attribute showIconAlwaysVisible
+     * @default null
+     * @type Boolean
+     */
+    showIconAlwaysVisible: {
+        value: null,
+        validator: function( value ){
+            return value === null || Lang.isBoolean( value );
+        }
+    },
+
+    /**
+     * @description Whether or not the expand icon should be shown in item's header.
+     * If null, Accordion's <code>showIconExpanded</code> setting will be used.
+     *
+     * @attribute showIconExpanded
+     * @default null
+     * @type Boolean
+     */
+    showIconExpanded: {
+        value: null,
+        validator: function( value ){
+            return value === null || Lang.isBoolean( value );
+        }
+    },
+
+    /**
+     * @description Stable key of the item, used to identify the item when Accordion's state is persisted.
+     * If the item has been created from markup, the key will be taken from yuiConfig or from the id of its content box.
+     *
+     * @attribute key
+     * @default null
+     * @type String
+     */
+    key: {
+        value: null,
+        validator: function( value ){
+            return value === null || Lang.isString( value );
         }
     },
 
@@ -292,6 +431,71 @@ AccordionItem.ATTRS = {
     closable: {
         value: false,
         validator: Lang.isBoolean
+    },
+
+    /**
+     * @description The source of the body content, which will be loaded when the item is being expanded for the first time.
+     * The value can be:
+     *  <dl>
+     *      <dt>String</dt>
+     *          <dd>An URL, which will be requested by using the transport, set in <code>io</code> attribute</dd>
+     *      <dt>Function</dt>
+     *          <dd>A function, which receives the item and an object with two callbacks - <code>success</code> and
+     *          <code>failure</code>. The function should invoke <code>success</code> with the content (String or Node)
+     *          or <code>failure</code> with an error message, when the content is ready.</dd>
+     *  </dl>
+     *
+     * @attribute contentSource
+     * @default null
+     * @type String|Function
+     */
+    contentSource: {
+        value: null,
+        validator: function( value ){
+            return value === null || Lang.isString( value ) || Lang.isFunction( value );
+        }
+    },
+
+    /**
+     * @description The state of the content, loaded from <code>contentSource</code>.
+     * The value can be one of these: "none", "loading", "loaded" and "error"
+     *
+     * @attribute contentState
+     * @readOnly
+     * @default "none"
+     * @type String
+     */
+    contentState: {
+        value: STATE_NONE,
+        readOnly: true
+    },
+
+    /**
+     * @description The error message of the last failed loading of the content
+     *
+     * @attribute contentError
+     * @readOnly
+     * @default null
+     * @type String
+     */
+    contentError: {
+        value: null,
+        readOnly: true
+    },
+
+    /**
+     * @description The transport, used to load the content when <code>contentSource</code> is an URL.
+     * It must have the same signature as Y.io
+     *
+     * @attribute io
+     * @default Y.io
+     * @type Function
+     */
+    io: {
+        valueFn: function(){
+            return Y.io;
+        },
+        validator: Lang.isFunction
     }
 };
 
@@ -318,8 +522,18 @@ AccordionItem.HTML_PARSER = {
         return node;
     },
 
+    labelIsHTML: function( contentBox ){
+        var yuiConfig = this._getConfigDOMAttribute( contentBox );
+
+        if( yuiConfig && Lang.isBoolean( yuiConfig.labelIsHTML ) ){
+            return yuiConfig.labelIsHTML;
+        }
+
+        return null;
+    },
+
     label: function( contentBox ){
-        var node, labelSelector, yuiConfig;
+        var node, labelSelector, yuiConfig, labelIsHTML;
         
         yuiConfig = this._getConfigDOMAttribute( contentBox );
         
@@ -330,7 +544,17 @@ AccordionItem.HTML_PARSER = {
         labelSelector = HEADER_SELECTOR_SUB + C_LABEL;
         node = contentBox.query( labelSelector );
 
-        return (node) ? node.get( INNER_HTML ) : null;
+        if( !node ){
+            return null;
+        }
+
+        if( yuiConfig && Lang.isBoolean( yuiConfig.labelIsHTML ) ){
+            labelIsHTML = yuiConfig.labelIsHTML;
+        } else {
+            labelIsHTML = this.get( LABEL_IS_HTML );
+        }
+
+        return labelIsHTML ? node.get( INNER_HTML ) : node.get( "text" );
     },
 
     nodeLabel: function( contentBox ){
@@ -378,6 +602,15 @@ AccordionItem.HTML_PARSER = {
         return node;
     },
 
+    iconRetry: function( contentBox ){
+        var node, iconRetrySelector;
+
+        iconRetrySelector = HEADER_SELECTOR_SUB + C_ICONRETRY;
+        node = contentBox.query( iconRetrySelector );
+
+        return node;
+    },
+
     expanded: function( contentBox ){
         var yuiConfig = this._getConfigDOMAttribute( contentBox );
 
@@ -418,6 +651,56 @@ AccordionItem.HTML_PARSER = {
         return contentBox.hasClass( C_CLOSABLE );
     },
 
+    overflow: function( contentBox ){
+        var yuiConfig = this._getConfigDOMAttribute( contentBox );
+
+        if( yuiConfig && Lang.isString( yuiConfig.overflow ) ){
+            return yuiConfig.overflow;
+        }
+
+        return null;
+    },
+
+    showIconAlwaysVisible: function( contentBox ){
+        var yuiConfig = this._getConfigDOMAttribute( contentBox );
+
+        if( yuiConfig && Lang.isBoolean( yuiConfig.showIconAlwaysVisible ) ){
+            return yuiConfig.showIconAlwaysVisible;
+        }
+
+        return contentBox.hasClass( C_NOICONALWAYSVISIBLE ) ? false : null;
+    },
+
+    showIconExpanded: function( contentBox ){
+        var yuiConfig = this._getConfigDOMAttribute( contentBox );
+
+        if( yuiConfig && Lang.isBoolean( yuiConfig.showIconExpanded ) ){
+            return yuiConfig.showIconExpanded;
+        }
+
+        return contentBox.hasClass( C_NOICONEXPANDED ) ? false : null;
+    },
+
+    key: function( contentBox ){
+        var yuiConfig = this._getConfigDOMAttribute( contentBox );
+
+        if( yuiConfig && Lang.isString( yuiConfig.key ) ){
+            return yuiConfig.key;
+        }
+
+        return contentBox.getAttribute( ID ) || null;
+    },
+
+    contentSource: function( contentBox ){
+        var yuiConfig = this._getConfigDOMAttribute( contentBox );
+
+        if( yuiConfig && Lang.isString( yuiConfig.contentSource ) ){
+            return yuiConfig.contentSource;
+        }
+
+        return null;
+    },
+
     contentHeight: function( contentBox ){
         var contentHeightClass, classValue, height = 0, i, length, index, chr, yuiConfig;
 
@@ -444,9 +727,7 @@ AccordionItem.HTML_PARSER = {
                     method: AUTO
                 };
             } else if( classValue.match( /^stretch\s*/g ) ){
-                return {
-                    method: STRETCH
-                };
+                return this._parseStretchClass( classValue );
             } else if( classValue.match( /^fixed-\d+/g )  ){
                 for( i = 6, length = classValue.length; i < length; i++ ){ // 6 = "fixed-".length
                     chr = classValue.charAt(i);
@@ -481,7 +762,9 @@ AccordionItem.HTML_PARSER = {
   *       iconsContainer: '&lt;div class="yui-accordion-item-icons"&gt;&lt;/div&gt;',
   *       iconAlwaysVisible: '&lt;a href="#" class="yui-accordion-item-iconalwaysvisible"&gt;&lt;/a&gt;',
   *       iconExpanded: '&lt;a href="#" class="yui-accordion-item-iconexpanded"&gt;&lt;/a&gt;',
-  *       iconClose: '&lt;a href="#" class="yui-accordion-item-iconclose yui-accordion-item-iconclose-hidden"&gt;&lt;/a&gt;'
+  *       iconClose: '&lt;a href="#" class="yui-accordion-item-iconclose yui-accordion-item-iconclose-hidden"&gt;&lt;/a&gt;',
+  *       iconRetry: '&lt;a href="#" class="yui-accordion-item-iconretry yui-accordion-item-iconretry-hidden"&gt;&amp;#8635;&lt;/a&gt;',
+  *       headerAction: '&lt;a href="#" class="yui-accordion-item-headeraction"&gt;&lt;/a&gt;'
   *    }
   * </pre>
   * @property WidgetStdMod.TEMPLATES
@@ -493,7 +776,9 @@ AccordionItem.TEMPLATES = {
      iconsContainer: '<div class="' + C_ICONSCONTAINER + '"></div>',
      iconExpanded: ['<a href="#" class="', C_ICONEXPANDED, ' ', C_ICONEXPANDED_OFF, '"></a>'].join(''),
      iconAlwaysVisible: ['<a href="#" class="', C_ICONALWAYSVISIBLE, ' ',  C_ICONALWAYSVISIBLE_OFF, '"></a>'].join(''),
-     iconClose: ['<a href="#" class="', C_ICONCLOSE, ' ', C_ICONCLOSE_HIDDEN, '"></a>'].join('')
+     iconClose: ['<a href="#" class="', C_ICONCLOSE, ' ', C_ICONCLOSE_HIDDEN, '"></a>'].join(''),
+     iconRetry: ['<a href="#" class="', C_ICONRETRY, ' ', C_ICONRETRY_HIDDEN, '">&#8635;</a>'].join(''),
+     headerAction: ['<a href="#" class="', C_HEADERACTION, '"></a>'].join('')
 };
 
 
@@ -509,13 +794,14 @@ Y.extend( AccordionItem, Y.Widget, {
      */
     _createHeader: function(){
         var closable, templates, strings,  iconsContainer,
-            icon, nodeLabel, iconExpanded, iconAlwaysVisible, iconClose;
+            icon, nodeLabel, iconExpanded, iconAlwaysVisible, iconClose, iconRetry;
 
         icon = this.get( ICON );
         nodeLabel = this.get( NODE_LABEL );
         iconExpanded = this.get( ICON_EXPANDED );
         iconAlwaysVisible = this.get( ICON_ALWAYSVISIBLE );
         iconClose = this.get( ICON_CLOSE );
+        iconRetry = this.get( ICON_RETRY );
         iconsContainer = this.get( ICONS_CONTAINER );
         
         strings = this.get( STRINGS );
@@ -534,7 +820,7 @@ Y.extend( AccordionItem, Y.Widget, {
             nodeLabel.setAttribute( HREF, HREF_VALUE );
         }
 
-        nodeLabel.setContent( this.get( "label" ) );
+        this.renderLabel( nodeLabel );
 
 
         if( !iconsContainer ){
@@ -574,6 +860,14 @@ Y.extend( AccordionItem, Y.Widget, {
             iconClose.addClass( C_ICONCLOSE_HIDDEN );
         }
 
+        if( !iconRetry ){
+            iconRetry = Node.create( templates.iconRetry );
+            iconRetry.setAttribute( TITLE, strings.title_iconretry );
+            this.set( ICON_RETRY, iconRetry );
+        } else if( !iconRetry.hasAttribute( HREF ) ){
+            iconRetry.setAttribute( HREF, HREF_VALUE );
+        }
+
         this._addHeaderComponents();
     },
 
@@ -585,13 +879,14 @@ Y.extend( AccordionItem, Y.Widget, {
      */
     _addHeaderComponents: function(){
         var header, icon, nodeLabel, iconsContainer, iconExpanded,
-            iconAlwaysVisible, iconClose;
+            iconAlwaysVisible, iconClose, iconRetry;
 
         icon = this.get( ICON );
         nodeLabel = this.get( NODE_LABEL );
         iconExpanded = this.get( ICON_EXPANDED );
         iconAlwaysVisible = this.get( ICON_ALWAYSVISIBLE );
         iconClose = this.get( ICON_CLOSE );
+        iconRetry = this.get( ICON_RETRY );
         iconsContainer = this.get( ICONS_CONTAINER );
 
         header = this.get( HEADER_CONTENT );
@@ -602,6 +897,7 @@ Y.extend( AccordionItem, Y.Widget, {
             header.appendChild( nodeLabel );
             header.appendChild( iconsContainer );
             iconsContainer.appendChild( iconAlwaysVisible );
+            iconsContainer.appendChild( iconRetry );
             iconsContainer.appendChild( iconExpanded );
             iconsContainer.appendChild( iconClose );
 
@@ -631,26 +927,191 @@ Y.extend( AccordionItem, Y.Widget, {
                 iconsContainer.appendChild( iconExpanded );
             }
 
+            if( !iconsContainer.contains( iconRetry ) ){
+                iconsContainer.insertBefore( iconRetry, iconExpanded );
+            }
+
             if( !iconsContainer.contains( iconClose ) ){
                 iconsContainer.appendChild( iconClose );
             }
         }
+
+        Y.Array.each( this._headerActions, function( action, index, actions ){
+            this._insertHeaderAction( action );
+        }, this );
+    },
+
+
+    /**
+     * Places the node of a header action in the icons container, before the always visible icon
+     *
+     * @method _insertHeaderAction
+     * @protected
+     * @param {Object} action The header action, as stored by <code>addHeaderAction</code>
+     */
+    _insertHeaderAction: function( action ){
+        var iconsContainer = this.get( ICONS_CONTAINER );
+
+        if( iconsContainer && !iconsContainer.contains( action.node ) ){
+            iconsContainer.insertBefore( action.node, this.get( ICON_ALWAYSVISIBLE ) );
+        }
+    },
+
+
+    /**
+     * Adds a custom action button in item's header. Clicking on the button will not expand or collapse the item,
+     * instead Accordion will fire itemActionClick event, which default function invokes the handler of the action.
+     * The button follows the tab index of item's label, so it can be reached by Tab key, when the item is the focused one
+     * in Accordion. Pressing Enter or Space on the button has the same effect as clicking on it.
+     *
+     * @method addHeaderAction
+     * @param {Object} config Object literal with the following properties:
+     * <dl>
+     *      <dt>name</dt>
+     *          <dd>The name of the action, must be unique within the item</dd>
+     *      <dt>title</dt>
+     *          <dd>(optional) The title of the button</dd>
+     *      <dt>className</dt>
+     *          <dd>(optional) Class name, which will be added to the button</dd>
+     *      <dt>handler</dt>
+     *          <dd>(optional) Function, which will be invoked in the context of the item, with
+     *          the itemActionClick event facade as argument</dd>
+     * </dl>
+     * @return Boolean True if the action has been added, false if an action with the same name already exists
+     */
+    addHeaderAction: function( config ){
+        var node, action, nodeLabel;
+
+        if( !config || !Lang.isString( config.name ) || this.getHeaderAction( config.name ) ){
+            return false;
+        }
+
+        node = Node.create( AccordionItem.TEMPLATES.headerAction );
+
+        if( config.className ){
+            node.addClass( config.className );
+        }
+
+        if( config.title ){
+            node.setAttribute( TITLE, config.title );
+        }
+
+        node.setAttribute( ROLE, "button" );
+        node.setAttribute( ARIA_DISABLED, String( this.get( DISABLED ) ) );
+        nodeLabel = this.get( NODE_LABEL );
+        node.set( TAB_INDEX, nodeLabel ? nodeLabel.get( TAB_INDEX ) : -1 );
+
+        action = {
+            name: config.name,
+            title: config.title || null,
+            className: config.className || null,
+            handler: Lang.isFunction( config.handler ) ? config.handler : null,
+            node: node
+        };
+
+        this._headerActions.push( action );
+
+        if( this.get( RENDERED ) ){
+            this._insertHeaderAction( action );
+        }
+
+        return true;
     },
 
 
     /**
-     * Handles the change of "labelChanged" property. Updates item's UI with the label provided
+     * Removes a header action, previously added by <code>addHeaderAction</code>
+     *
+     * @method removeHeaderAction
+     * @param {String} name The name of the action
+     * @return Boolean True if the action has been removed, false if there is no such action
+     */
+    removeHeaderAction: function( name ){
+        var action = this.getHeaderAction( name );
+
+        if( !action ){
+            return false;
+        }
+
+        action.node.remove();
+        this._headerActions.splice( Y.Array.indexOf( this._headerActions, action ), 1 );
+
+        return true;
+    },
+
+
+    /**
+     * Returns a header action by its name or by a node inside its button
+     *
+     * @method getHeaderAction
+     * @param {String|Node} p_action The name of the action or a node, which belongs to its button
+     * @return Object The action with properties <code>name</code>, <code>title</code>, <code>className</code>,
+     * <code>handler</code> and <code>node</code> or null if not found
+     */
+    getHeaderAction: function( p_action ){
+        var result = null, byName = Lang.isString( p_action );
+
+        if( !p_action ){
+            return null;
+        }
+
+        Y.Array.some( this._headerActions, function( action, index, actions ){
+            if( byName ? action.name === p_action : action.node.contains( p_action ) ){
+                result = action;
+                return true;
+            }
+
+            return false;
+        }, this );
+
+        return result;
+    },
+
+
+    /**
+     * Returns all header actions of the item, in the order of their adding
+     *
+     * @method getHeaderActions
+     * @return Array The actions, as returned by <code>getHeaderAction</code>
+     */
+    getHeaderActions: function(){
+        return this._headerActions.concat();
+    },
+
+
+    /**
+     * Handles the change of "label" and "labelIsHTML" properties. Replaces the content of the label node
+     * with the current label
      * 
      * @method _labelChanged
      * @protected
      * @param {EventFacade} params The event facade for the attribute change
      */
     _labelChanged: function( params ){
-        var label;
-        
         if( this.get( RENDERED ) ){
-            label = this.get( NODE_LABEL );
-            label.set( INNER_HTML, ["<a href='#'>", params.newVal, "</a>" ].join('') );
+            this.renderLabel( this.get( NODE_LABEL ) );
+        }
+    },
+
+
+    /**
+     * Replaces the content of a node with item's label. The label will be inserted as text,
+     * unless <code>labelIsHTML</code> is true. Use it to show the label outside of the item,
+     * for example in a drag proxy, with the same escaping as in item's header:
+     * <code>item.renderLabel( Y.Node.create( '&lt;div&gt;&lt;/div&gt;' ) );</code>
+     *
+     * @method renderLabel
+     * @public
+     * @param {Node} node The node, which content should be replaced
+     */
+    renderLabel: function( node ){
+        var label = this.get( LABEL );
+
+        if( this.get( LABEL_IS_HTML ) ){
+            node.set( INNER_HTML, label );
+        } else {
+            node.set( INNER_HTML, "" );
+            node.appendChild( Y.config.doc.createTextNode( label ) );
         }
     },
 
@@ -690,7 +1151,12 @@ Y.extend( AccordionItem, Y.Widget, {
     initializer: function( config ) {
 
         this.after( "labelChange",  Y.bind( this._labelChanged, this ) );
+        this.after( "labelIsHTMLChange",  Y.bind( this._labelChanged, this ) );
         this.after( "closableChange", Y.bind( this._closableChanged, this ) );
+        this.after( "disabledChange", Y.bind( this._afterDisabledChange, this ) );
+
+        this._contentRequestId = 0;
+        this._headerActions = [];
     },
     
     /**
@@ -714,6 +1180,16 @@ Y.extend( AccordionItem, Y.Widget, {
         this._createHeader();
     },
     
+    /**
+     * Sets WAI-ARIA roles and states of item's header and body
+     *
+     * @method syncUI
+     * @protected
+     */
+    syncUI: function(){
+        this._setARIAAttributes();
+    },
+
     /**
      * Configures/Sets up listeners to bind Widget State to UI/DOM
      *
@@ -730,6 +1206,136 @@ Y.extend( AccordionItem, Y.Widget, {
 
 
 
+    /**
+     * Sets the roles of header components and links the label with item's body.
+     * The states are taken from the icons, so they are the same as those shown to the user.
+     *
+     * @method _setARIAAttributes
+     * @protected
+     */
+    _setARIAAttributes: function(){
+        var nodeLabel, body, iconExpanded, iconAlwaysVisible, iconClose, bodyId;
+
+        nodeLabel = this.get( NODE_LABEL );
+        iconExpanded = this.get( ICON_EXPANDED );
+        iconAlwaysVisible = this.get( ICON_ALWAYSVISIBLE );
+        iconClose = this.get( ICON_CLOSE );
+        body = this.getStdModNode( WidgetStdMod.BODY );
+
+        bodyId = this._getNodeId( body );
+
+        nodeLabel.setAttribute( ROLE, "tab" );
+        nodeLabel.setAttribute( ARIA_CONTROLS, bodyId );
+
+        body.setAttribute( ROLE, "tabpanel" );
+        body.setAttribute( ARIA_LABELLEDBY, this._getNodeId( nodeLabel ) );
+
+        this.get( ICON ).setAttribute( ROLE, "presentation" );
+
+        iconAlwaysVisible.setAttribute( ROLE, "button" );
+
+        iconExpanded.setAttribute( ROLE, "button" );
+        iconExpanded.setAttribute( ARIA_CONTROLS, bodyId );
+
+        iconClose.setAttribute( ROLE, "button" );
+
+        this.get( ICON_RETRY ).setAttribute( ROLE, "button" );
+
+        this._setARIAExpanded( iconExpanded.hasClass( C_ICONEXPANDED_ON ) );
+        this._setARIAAlwaysVisible( iconAlwaysVisible.hasClass( C_ICONALWAYSVISIBLE_ON ) );
+        this._setARIADisabled( this.get( DISABLED ) );
+    },
+
+
+    /**
+     * Updates aria-expanded state of the label and expand icon and aria-hidden state of item's body
+     *
+     * @method _setARIAExpanded
+     * @protected
+     * @param {Boolean} expanded Whether or not the item is expanded
+     */
+    _setARIAExpanded: function( expanded ){
+        var body;
+
+        this.get( NODE_LABEL ).setAttribute( ARIA_EXPANDED, String( expanded ) );
+        this.get( ICON_EXPANDED ).setAttribute( ARIA_EXPANDED, String( expanded ) );
+
+        body = this.getStdModNode( WidgetStdMod.BODY );
+
+        if( body ){
+            body.setAttribute( ARIA_HIDDEN, String( !expanded ) );
+        }
+    },
+
+
+    /**
+     * Updates aria-pressed state of always visible icon
+     *
+     * @method _setARIAAlwaysVisible
+     * @protected
+     * @param {Boolean} alwaysVisible Whether or not the item is always visible
+     */
+    _setARIAAlwaysVisible: function( alwaysVisible ){
+        this.get( ICON_ALWAYSVISIBLE ).setAttribute( ARIA_PRESSED, String( alwaysVisible ) );
+    },
+
+
+    /**
+     * Updates aria-disabled state of the label, the icons and the header actions
+     *
+     * @method _setARIADisabled
+     * @protected
+     * @param {Boolean} disabled Whether or not the item is disabled
+     */
+    _setARIADisabled: function( disabled ){
+        Y.Array.each( [ NODE_LABEL, ICON_ALWAYSVISIBLE, ICON_EXPANDED, ICON_CLOSE, ICON_RETRY ], function( name ){
+            var node = this.get( name );
+
+            if( node ){
+                node.setAttribute( ARIA_DISABLED, String( disabled ) );
+            }
+        }, this );
+
+        Y.Array.each( this._headerActions, function( action, index, actions ){
+            action.node.setAttribute( ARIA_DISABLED, String( disabled ) );
+        }, this );
+    },
+
+
+    /**
+     * Updates aria-disabled state of the header after changing <code>disabled</code> property
+     *
+     * @method _afterDisabledChange
+     * @protected
+     * @param {EventFacade} params The event facade for the attribute change
+     */
+    _afterDisabledChange: function( params ){
+        if( this.get( RENDERED ) ){
+            this._setARIADisabled( params.newVal );
+        }
+    },
+
+
+    /**
+     * Returns the id of the node provided. If the node has no id, an unique one will be generated
+     *
+     * @method _getNodeId
+     * @protected
+     * @param {Node} node The node which id should be returned
+     * @return {String} The id of the node
+     */
+    _getNodeId: function( node ){
+        var id = node.get( ID );
+
+        if( !id ){
+            id = Y.guid();
+            node.set( ID, id );
+        }
+
+        return id;
+    },
+
+
     /**
      * Prevent default action on clicking the link in the label
      *
@@ -760,12 +1366,14 @@ Y.extend( AccordionItem, Y.Widget, {
             if( !iconAlwaysVisisble.hasClass( C_ICONALWAYSVISIBLE_ON ) ){
                 iconAlwaysVisisble.replaceClass( C_ICONALWAYSVISIBLE_OFF, C_ICONALWAYSVISIBLE_ON );
                 iconAlwaysVisisble.set( TITLE, strings.title_always_visible_on );
+                this._setARIAAlwaysVisible( true );
                 return true;
             }
         } else {
             if( iconAlwaysVisisble.hasClass( C_ICONALWAYSVISIBLE_ON ) ){
                 iconAlwaysVisisble.replaceClass( C_ICONALWAYSVISIBLE_ON, C_ICONALWAYSVISIBLE_OFF );
                 iconAlwaysVisisble.set( TITLE, strings.title_always_visible_off );
+                this._setARIAAlwaysVisible( false );
                 return true;
             }
         }
@@ -792,12 +1400,14 @@ Y.extend( AccordionItem, Y.Widget, {
             if( !iconExpanded.hasClass( C_ICONEXPANDED_ON ) ){
                 iconExpanded.replaceClass( C_ICONEXPANDED_OFF, C_ICONEXPANDED_ON );
                 iconExpanded.set( TITLE , strings.title_iconexpanded_on );
+                this._setARIAExpanded( true );
                 return true;
             }
         } else {
             if( iconExpanded.hasClass( C_ICONEXPANDED_ON ) ){
                 iconExpanded.replaceClass( C_ICONEXPANDED_ON, C_ICONEXPANDED_OFF );
                 iconExpanded.set( TITLE , strings.title_iconexpanded_off );
+                this._setARIAExpanded( false );
                 return true;
             }
         }
@@ -805,6 +1415,17 @@ Y.extend( AccordionItem, Y.Widget, {
         return false;
     },
 
+
+    /**
+    * Checks whether the item is marked as expanded in its user interface
+    *
+    * @method isMarkedAsExpanded
+    * @return Boolean True if expand icon shows the item as expanded, false otherwise
+    */
+    isMarkedAsExpanded: function(){
+        return this.get( ICON_EXPANDED ).hasClass( C_ICONEXPANDED_ON );
+    },
+
    
    /**
     * Marks the item as expanding by adding class to expand icon.
@@ -860,6 +1481,242 @@ Y.extend( AccordionItem, Y.Widget, {
     },
 
 
+    /**
+     * Loads the body content from <code>contentSource</code>. The item will be marked as loading until the content arrives.
+     *
+     * @method loadContent
+     * @return Boolean True if loading has been started, false if there is no content source or the content is being loaded
+     */
+    loadContent: function(){
+        var source, callback, requestId;
+
+        source = this.get( CONTENT_SOURCE );
+
+        if( !source || this.get( CONTENT_STATE ) === STATE_LOADING ){
+            return false;
+        }
+
+        requestId = ++this._contentRequestId;
+
+        callback = {
+            success: Y.bind( this._onContentSuccess, this, requestId ),
+            failure: Y.bind( this._onContentFailure, this, requestId )
+        };
+
+        this._markAsFailed( false );
+
+        this._set( CONTENT_STATE, STATE_LOADING );
+        this._markAsLoading( true );
+
+        if( Lang.isFunction( source ) ){
+            source.call( this, this, callback );
+        } else {
+            this.get( "io" )( source, {
+                on: {
+                    success: function( id, response ){
+                        callback.success( response.responseText );
+                    },
+
+                    failure: function( id, response ){
+                        callback.failure( response.statusText );
+                    }
+                }
+            });
+        }
+
+        return true;
+    },
+
+
+    /**
+     * Sets the loaded content as body content of the item
+     *
+     * @method _onContentSuccess
+     * @protected
+     * @param {Number} requestId The id of the request. Responses to outdated requests will be ignored
+     * @param {String|Node} content The loaded content
+     */
+    _onContentSuccess: function( requestId, content ){
+        if( requestId !== this._contentRequestId ){
+            return;
+        }
+
+        this._markAsLoading( false );
+        this.setStdModContent( WidgetStdMod.BODY, content, WidgetStdMod.REPLACE );
+        this._set( CONTENT_STATE, STATE_LOADED );
+    },
+
+
+    /**
+     * Shows an error message in the body and retry icon in the header
+     *
+     * @method _onContentFailure
+     * @protected
+     * @param {Number} requestId The id of the request. Responses to outdated requests will be ignored
+     * @param {String} message The error message
+     */
+    _onContentFailure: function( requestId, message ){
+        if( requestId !== this._contentRequestId ){
+            return;
+        }
+
+        this._markAsLoading( false );
+        this._markAsFailed( true, message );
+
+        this._set( CONTENT_ERROR, message || null );
+        this._set( CONTENT_STATE, STATE_ERROR );
+    },
+
+
+    /**
+     * Marks the item as failed to load its content. If marked, the error message will be placed in the body,
+     * the retry icon will be shown and a class will be added to the bounding box.
+     *
+     * @method _markAsFailed
+     * @protected
+     * @param {Boolean} failed Whether or not the item should be marked as failed
+     * @param {String} message (optional) The error message, which will be shown after the default one
+     */
+    _markAsFailed: function( failed, message ){
+        var errorNode, text;
+
+        if( failed ){
+            text = this.get( STRINGS ).content_error;
+
+            if( message ){
+                text = [ text, " (", message, ")" ].join( '' );
+            }
+
+            errorNode = Node.create( '<div class="' + C_ERRORMESSAGE + '"></div>' );
+            errorNode.appendChild( Y.config.doc.createTextNode( text ) );
+
+            this.setStdModContent( WidgetStdMod.BODY, errorNode, WidgetStdMod.REPLACE );
+
+            this.get( BOUNDING_BOX ).addClass( C_ERROR );
+            this.get( ICON_RETRY ).removeClass( C_ICONRETRY_HIDDEN );
+        } else {
+            this.get( BOUNDING_BOX ).removeClass( C_ERROR );
+            this.get( ICON_RETRY ).addClass( C_ICONRETRY_HIDDEN );
+        }
+    },
+
+
+    /**
+     * Marks the item as loading its content by adding class to its bounding box
+     *
+     * @method _markAsLoading
+     * @protected
+     * @param {Boolean} loading Whether or not the item should be marked as loading
+     */
+    _markAsLoading: function( loading ){
+        var body = this.getStdModNode( WidgetStdMod.BODY );
+
+        if( loading ){
+            this.get( BOUNDING_BOX ).addClass( C_LOADING );
+        } else {
+            this.get( BOUNDING_BOX ).removeClass( C_LOADING );
+        }
+
+        if( body ){
+            body.setAttribute( ARIA_BUSY, String( loading ) );
+        }
+    },
+
+
+    /**
+     * Returns the configuration of the item as an object literal, which can be serialized to JSON and
+     * passed later to AccordionItem's constructor. If the easing function of the animation is one of Y.Easing's
+     * functions, it will be replaced with its name.
+     *
+     * @method toJSON
+     * @return {Object} Object literal with item's label, contentHeight, expanded, alwaysVisible, closable,
+     * animation and bodyContent properties. If set, key and contentSource will be also included.
+     */
+    toJSON: function(){
+        var animation, easing, name, body, result;
+
+        animation = Y.merge( this.get( ANIMATION ) );
+        easing = animation.easing;
+
+        if( Lang.isFunction( easing ) ){
+            delete animation.easing;
+
+            for( name in Y.Easing ){
+                if( Y.Easing.hasOwnProperty( name ) && Y.Easing[ name ] === easing ){
+                    animation.easing = name;
+                    break;
+                }
+            }
+        }
+
+        body = this.getStdModNode( WidgetStdMod.BODY );
+
+        result = {
+            'label': this.get( LABEL ),
+            'labelIsHTML': this.get( LABEL_IS_HTML ),
+            'contentHeight': Y.merge( this.get( "contentHeight" ) ),
+            'expanded': this.get( "expanded" ),
+            'alwaysVisible': this.get( "alwaysVisible" ),
+            'closable': this.get( "closable" ),
+            'disabled': this.get( DISABLED ),
+            'animation': animation,
+            'bodyContent': body ? body.get( INNER_HTML ) : this.get( "bodyContent" )
+        };
+
+        if( Lang.isString( this.get( "key" ) ) ){
+            result.key = this.get( "key" );
+        }
+
+        if( Lang.isString( this.get( CONTENT_SOURCE ) ) ){
+            result.contentSource = this.get( CONTENT_SOURCE );
+        }
+
+        Y.Array.each( [ SHOW_ICON_ALWAYSVISIBLE, SHOW_ICON_EXPANDED ], function( name ){
+            if( Lang.isBoolean( this.get( name ) ) ){
+                result[ name ] = this.get( name );
+            }
+        }, this );
+
+        return result;
+    },
+
+
+    /**
+     * Parses the settings of stretch item from the part of its class name after
+     * "yui-accordion-item-contentheight-", for example "stretch-w2-min100-max400"
+     *
+     * @method _parseStretchClass
+     * @protected
+     * @param {String} classValue The class name, starting with "stretch"
+     * @return {Object} The value of <code>contentHeight</code> property
+     */
+    _parseStretchClass: function( classValue ){
+        var result, settings, names, setting, i, length;
+
+        result = {
+            method: STRETCH
+        };
+
+        names = {
+            w: "weight",
+            min: "min",
+            max: "max"
+        };
+
+        settings = classValue.split( /\s/ )[ 0 ].split( "-" );
+
+        for( i = 1, length = settings.length; i < length; i++ ){
+            setting = settings[ i ].match( /^(w|min|max)(\d+)$/ );
+
+            if( setting ){
+                result[ names[ setting[ 1 ] ] ] = parseInt( setting[ 2 ], 10 );
+            }
+        }
+
+        return result;
+    },
+
+
     /**
      * Parses and returns the yuiConfig attribute from contentBox. It must be stringified JSON object.
      * This function will be replaced with more clever solution when YUI 3.1 becomes available
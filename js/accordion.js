@@ -35,6 +35,18 @@ var Lang = Y.Lang,
     
     C_ITEM = "yui-accordion-item",
     C_PROXY_VISIBLE = getCN( AccName, "proxyel", "visible" ),
+    C_DROPMARKER = getCN( AccName, "dropmarker" ),
+    C_DROPMARKER_VISIBLE = getCN( AccName, "dropmarker", "visible" ),
+    C_DROPMARKER_HORIZONTAL = getCN( AccName, "dropmarker", "horizontal" ),
+    C_TOUCH_REORDER = getCN( AccName, "touchreorder" ),
+    C_SPLITTER = getCN( AccName, "splitter" ),
+    C_SPLITTER_HIDDEN = getCN( AccName, "splitter", "hidden" ),
+    C_NESTED_AUTO = getCN( AccName, "nested", "auto" ),
+    C_HORIZONTAL = getCN( AccName, "horizontal" ),
+    C_ICONALWAYSVISIBLE_HIDDEN = getCN( AccName, "item", "iconalwaysvisible", "hidden" ),
+    C_ICONEXPANDED_HIDDEN = getCN( AccName, "item", "iconexpanded", "hidden" ),
+    C_NOICONALWAYSVISIBLE = getCN( AccName, "noiconalwaysvisible" ),
+    C_NOICONEXPANDED = getCN( AccName, "noiconexpanded" ),
     DRAGGROUP = getCN( AccName, "graggroup" ),
 
     BEFOREITEMADD = "beforeItemAdd",
@@ -52,6 +64,15 @@ var Lang = Y.Lang,
     BEFOREITEMREORDER = "beforeItemReorder",
     BEFOREENDITEMREORDER = "beforeEndItemReorder",
     ITEMREORDERED = "itemReordered",
+
+    ITEMCONTENTERROR = "itemContentError",
+
+    ITEMCOLLAPSEBLOCKED = "itemCollapseBlocked",
+
+    ITEMACTIONCLICK = "itemActionClick",
+
+    BEFOREITEMTRANSFER = "beforeItemTransfer",
+    ITEMTRANSFERRED = "itemTransferred",
     
     DEFAULT = "default",
     ANIMATION = "animation",
@@ -62,8 +83,29 @@ var Lang = Y.Lang,
     CONTENT_HEIGHT = "contentHeight",
     ICON_CLOSE = "iconClose",
     ICON_ALWAYSVISIBLE = "iconAlwaysVisible",
+    ICON_RETRY = "iconRetry",
     STRETCH = "stretch",
+    AUTO = "auto",
     PX = "px",
+    HEIGHT = "height",
+    WIDTH = "width",
+    ORIENTATION = "orientation",
+    PERSISTENCE = "persistence",
+    TRANSFER_GROUPS = "transferGroups",
+    REORDER_ITEMS = "reorderItems",
+    RESIZABLE_ITEMS = "resizableItems",
+    OVERFLOW = "overflow",
+    MAX_EXPANDED = "maxExpanded",
+    REQUIRE_EXPANDED = "requireExpanded",
+    SHOW_ICON_ALWAYSVISIBLE = "showIconAlwaysVisible",
+    SHOW_ICON_EXPANDED = "showIconExpanded",
+    HIDDEN = "hidden",
+    DISABLED = "disabled",
+    VISIBLE = "visible",
+    KEY = "key",
+    YUICONFIG = "yuiConfig",
+    VERTICAL = "vertical",
+    HORIZONTAL = "horizontal",
     CONTENT_BOX = "contentBox",
     BOUNDING_BOX = "boundingBox",
     RENDERED = "rendered",
@@ -71,7 +113,37 @@ var Lang = Y.Lang,
     CHILDREN = "children",
     PARENT_NODE = "parentNode",
     NODE = "node",
-    DATA = "data";
+    DATA = "data",
+    DOT = ".",
+    CONTENT_SOURCE = "contentSource",
+    CONTENT_STATE = "contentState",
+    STATE_NONE = "none",
+    STATE_LOADED = "loaded",
+    STATE_ERROR = "error",
+    NODE_LABEL = "nodeLabel",
+    ICON_EXPANDED = "iconExpanded",
+    TAB_INDEX = "tabIndex",
+    HEADER_SELECTOR = "div.yui-widget-hd",
+
+    ROLE = "role",
+    ARIA_MULTISELECTABLE = "aria-multiselectable",
+    ARIA_SELECTED = "aria-selected",
+    ARIA_ORIENTATION = "aria-orientation",
+    ARIA_DISABLED = "aria-disabled",
+
+    KEY_ENTER = 13,
+    KEY_SPACE = 32,
+    KEY_END = 35,
+    KEY_HOME = 36,
+    KEY_LEFT = 37,
+    KEY_UP = 38,
+    KEY_RIGHT = 39,
+    KEY_DOWN = 40,
+
+    LONG_PRESS_DELAY = 500,
+    CONTENT_RESYNC_DELAY = 100,
+    TAP_THRESHOLD = 10,
+    SWIPE_DISTANCE = 50;
 
 
 /**
@@ -107,7 +179,10 @@ Accordion.ATTRS = {
     },
 
     /**
-     * @description Contains the items, currently added to Accordion
+     * @description Contains the items, currently added to Accordion.
+     * On construction, an array of AccordionItem instances or configuration objects (for example,
+     * the items, returned by <code>toJSON</code>) can be passed in <code>items</code> property of the config.
+     * They will be created and added after the items, found in the markup, when Accordion is being rendered.
      * 
      * @attribute items
      * @readOnly
@@ -207,6 +282,257 @@ Accordion.ATTRS = {
     collapseOthersOnExpand: {
         value: true,
         validator: Lang.isBoolean
+    },
+
+    /**
+     * @attribute overflow
+     * @description The overflow of items' bodies, applied when the items are expanded. The value must be
+     * one of these: "hidden", "scroll" or "auto". During the animation the overflow will be always hidden.
+     * It can be overwritten by item's <code>overflow</code> setting.
+     *
+     * @default "hidden"
+     * @type String
+     */
+    overflow: {
+        value: HIDDEN,
+        validator: function( value ){
+            return value === HIDDEN || value === "scroll" || value === AUTO;
+        }
+    },
+
+    /**
+     * @attribute resizableItems
+     * @description Whether or not the user can resize the expanded items by dragging a splitter,
+     * placed on their lower edge (right edge in horizontal orientation). After resizing, the <code>contentHeight</code>
+     * of the item will be set to "fixed" with the new height. If the item is a stretch one, its weight will be
+     * adjusted instead, so it keeps the new height against the other stretch items.
+     *
+     * @default false
+     * @writeOnce
+     * @type Boolean
+     */
+    resizableItems: {
+        value: false,
+        writeOnce: true,
+        validator: Lang.isBoolean
+    },
+
+    /**
+     * @attribute transferGroups
+     * @description The names of the groups, in which Accordion participates for exchanging items by using drag&drop.
+     * Items can be dragged from one Accordion to another only if they have at least one common group.
+     * If empty, the items can be reordered only in the same Accordion. Applies only if <code>reorderItems</code> is true.
+     *
+     * @default []
+     * @writeOnce
+     * @type Array
+     */
+    transferGroups: {
+        value: [],
+        writeOnce: true,
+        validator: Lang.isArray
+    },
+
+    /**
+     * @attribute maxExpanded
+     * @description The maximal number of simultaneously expanded items. If expanding of an item exceeds the limit,
+     * the least recently expanded items, which are not set as always visible, will be collapsed.
+     * Hidden items are not counted. If 0, the number of expanded items is not limited.
+     *
+     * @default 0
+     * @type Number
+     */
+    maxExpanded: {
+        value: 0,
+        validator: function( value ){
+            return Lang.isNumber( value ) && value >= 0;
+        }
+    },
+
+    /**
+     * @attribute requireExpanded
+     * @description The minimal number of expanded items. Collapsing of an item, which would leave
+     * less expanded items than required, will be blocked and itemCollapseBlocked event will be fired instead.
+     * Hidden items are not counted. If 0, all items may be collapsed.
+     *
+     * @default 0
+     * @type Number
+     */
+    requireExpanded: {
+        value: 0,
+        validator: function( value ){
+            return Lang.isNumber( value ) && value >= 0;
+        }
+    },
+
+    /**
+     * @attribute showIconAlwaysVisible
+     * @description Whether or not the always visible icon should be shown in items' headers.
+     * Could be overridden by item's <code>showIconAlwaysVisible</code> setting.
+     * If the icon is hidden, the items could not be set as always visible by clicking.
+     * In markup, it could be turned off by "yui-accordion-noiconalwaysvisible" class of the contentBox.
+     *
+     * @default true
+     * @type Boolean
+     */
+    showIconAlwaysVisible: {
+        value: true,
+        validator: Lang.isBoolean
+    },
+
+    /**
+     * @attribute showIconExpanded
+     * @description Whether or not the expand icon should be shown in items' headers.
+     * Could be overridden by item's <code>showIconExpanded</code> setting.
+     * In markup, it could be turned off by "yui-accordion-noiconexpanded" class of the contentBox.
+     *
+     * @default true
+     * @type Boolean
+     */
+    showIconExpanded: {
+        value: true,
+        validator: Lang.isBoolean
+    },
+
+    /**
+     * @attribute orientation
+     * @description The orientation of Accordion. The value must be one of these:
+     * <ul>
+     *     <li>"vertical" - the headers are stacked and the bodies expand in height</li>
+     *     <li>"horizontal" - the headers are vertical strips, placed side by side, and the bodies expand in width.
+     *     Items' <code>contentHeight</code> settings will be applied to the width. In case of "auto" method,
+     *     the width of body's content will be used.</li>
+     * </ul>
+     *
+     * @default "vertical"
+     * @writeOnce
+     * @type String
+     */
+    orientation: {
+        value: VERTICAL,
+        writeOnce: true,
+        validator: function( value ){
+            return value === VERTICAL || value === HORIZONTAL;
+        }
+    },
+
+    /**
+     * @attribute persistence
+     * @description If set, the order of the items and their expanded and always visible state will be stored
+     * and restored on the next rendering of Accordion. The items are identified by their <code>key</code> attribute,
+     * the items without key will be not persisted. The value must be an object literal with the following properties:
+     *  <dl>
+     *      <dt>key</dt>
+     *          <dd>String, under which the state will be stored. It must be unique per page</dd>
+     *      <dt>storage</dt>
+     *          <dd>(optional) The name of an adapter, registered in <code>Accordion.STORAGE_ADAPTERS</code>
+     *          ("cookie" or "localStorage") or an object with <code>read(key)</code> and
+     *          <code>write(key, value)</code> methods. Default is "cookie"</dd>
+     *  </dl>
+     *
+     * @default null
+     * @type Object
+     */
+    persistence: {
+        value: null,
+        validator: function( value ){
+            return value === null || ( Lang.isObject( value ) && Lang.isString( value.key ) );
+        }
+    }
+};
+
+
+/**
+ * Static Object hash used to capture existing markup for progressive
+ * enhancement. <code>showIconAlwaysVisible</code> and <code>showIconExpanded</code> could be set
+ * in <code>yuiConfig</code> attribute of the contentBox, or turned off by adding
+ * "yui-accordion-noiconalwaysvisible" and "yui-accordion-noiconexpanded" classes to it.
+ *
+ * @property Accordion.HTML_PARSER
+ * @type Object
+ * @protected
+ * @static
+ */
+Accordion.HTML_PARSER = {
+
+    showIconAlwaysVisible: function( contentBox ){
+        var yuiConfig = this._getConfigDOMAttribute( contentBox );
+
+        if( yuiConfig && Lang.isBoolean( yuiConfig.showIconAlwaysVisible ) ){
+            return yuiConfig.showIconAlwaysVisible;
+        }
+
+        return contentBox.hasClass( C_NOICONALWAYSVISIBLE ) ? false : null;
+    },
+
+    showIconExpanded: function( contentBox ){
+        var yuiConfig = this._getConfigDOMAttribute( contentBox );
+
+        if( yuiConfig && Lang.isBoolean( yuiConfig.showIconExpanded ) ){
+            return yuiConfig.showIconExpanded;
+        }
+
+        return contentBox.hasClass( C_NOICONEXPANDED ) ? false : null;
+    }
+};
+
+
+/**
+ * Creates an Accordion from the configuration, returned by <code>toJSON</code> method.
+ * The items will be created and added in the same order when Accordion is being rendered.
+ *
+ * @method Accordion.fromJSON
+ * @static
+ * @param {Object|String} config The configuration object or its JSON representation.
+ * It might contain any Accordion attribute and an <code>items</code> array with item configurations.
+ * @return {Y.Accordion} The created, not rendered yet, Accordion
+ */
+Accordion.fromJSON = function( config ){
+    if( Lang.isString( config ) ){
+        config = Y.JSON.parse( config );
+    }
+
+    return new Accordion( config );
+};
+
+
+/**
+ * Static property, which contains the storage adapters, available for <code>persistence</code> attribute.
+ * Each adapter must have <code>read(key)</code> method, which returns the stored string or null and
+ * <code>write(key, value)</code> method, which stores the string.
+ *
+ * @property Accordion.STORAGE_ADAPTERS
+ * @type Object
+ * @static
+ */
+Accordion.STORAGE_ADAPTERS = {
+    cookie: {
+        read: function( key ){
+            return Y.Cookie.get( key );
+        },
+
+        write: function( key, value ){
+            var expires = new Date();
+
+            expires.setFullYear( expires.getFullYear() + 1 );
+
+            Y.Cookie.set( key, value, {
+                path: "/",
+                expires: expires
+            });
+        }
+    },
+
+    localStorage: {
+        read: function( key ){
+            return window.localStorage ? window.localStorage.getItem( key ) : null;
+        },
+
+        write: function( key, value ){
+            if( window.localStorage ){
+                window.localStorage.setItem( key, value );
+            }
+        }
     }
 };
 
@@ -226,10 +552,37 @@ Y.extend( Accordion, Y.Widget, {
         this._initEvents();
 
         this.after( "render", Y.bind( this._afterRender, this ) );
+        this.after( "collapseOthersOnExpandChange", Y.bind( this._afterCollapseOthersOnExpandChange, this ) );
+        this.after( ITEMREORDERED, Y.bind( this._savePersistedState, this ) );
+        this.after( "overflowChange", Y.bind( this._afterOverflowChange, this ) );
+        this.after( "disabledChange", Y.bind( this._afterDisabledChange, this ) );
+        this.after( "showIconAlwaysVisibleChange", Y.bind( this._afterShowIconChange, this ) );
+        this.after( "showIconExpandedChange", Y.bind( this._afterShowIconChange, this ) );
 
         this._forCollapsing = {};
         this._forExpanding = {};
         this._animations   = {};
+        this._focusedItem  = null;
+        this._parentItem   = null;
+        this._nestingHandles = [];
+        this._adjustingToParent = false;
+        this._parentItemLayout = null;
+        this._persistedState = null;
+        this._restoringPersistedState = false;
+        this._itemsConfig = ( config && Lang.isArray( config.items ) ) ? config.items : [];
+        this._itemsDragDrop = {};
+        this._accordionDrop = null;
+        this._dragGroup = DRAGGROUP + "-" + Y.guid();
+        this._dropMarker = null;
+        this._dropPosition = null;
+        this._touch = null;
+        this._touchHandles = [];
+        this._itemsSplitters = {};
+        this._splitterDrag = null;
+        this._resyncTimers = {};
+        this._scrollPositions = {};
+        this._expansionOrder = {};
+        this._expansionCounter = 0;
     },
 
     
@@ -242,6 +595,15 @@ Y.extend( Accordion, Y.Widget, {
      */
     destructor: function() {
         var items, item, i, length;
+
+        this._removeNesting();
+        this._endTouch();
+
+        Y.Array.each( this._touchHandles, function( handle ){
+            handle.detach();
+        });
+
+        this._touchHandles = [];
         
         items = this.get( ITEMS );
         length = items.length;
@@ -252,9 +614,21 @@ Y.extend( Accordion, Y.Widget, {
             items.splice( i, 1 );
             
             this._removeItemHandles( item );
+            this._removeItemDragDrop( item );
+            this._removeItemSplitter( item );
             
             item.destroy();
         }
+
+        if( this._accordionDrop ){
+            this._accordionDrop.destroy();
+            this._accordionDrop = null;
+        }
+
+        if( this._dropMarker ){
+            this._dropMarker.remove();
+            this._dropMarker = null;
+        }
     },
 
     
@@ -315,13 +689,18 @@ Y.extend( Accordion, Y.Widget, {
         this.publish( ITEMREMOVED );
 
         /**
-         * Signals the beginning of resizing an item.
+         * Signals the beginning of resizing an item. If the item is being resized by the user by dragging its splitter,
+         * returning false will cancel resizing.
          *
          * @event beforeItemResized
          * @param event {Event.Facade} An Event Facade object with the following attribute specific properties added:
          *  <dl>
          *      <dt>item</dt>
          *          <dd>An <code>AccordionItem</code> instance of the item being resized</dd>
+         *      <dt>height</dt>
+         *          <dd>The new height (the width in horizontal orientation) of item's body</dd>
+         *      <dt>userResize</dt>
+         *          <dd>True if the item is being resized by the user by dragging its splitter</dd>
          *  </dl>
          */
         this.publish( BEFOREITEMERESIZED );
@@ -334,12 +713,20 @@ Y.extend( Accordion, Y.Widget, {
          *  <dl>
          *      <dt>item</dt>
          *          <dd>An <code>AccordionItem</code> instance of the item that has been resized</dd>
+         *      <dt>height</dt>
+         *          <dd>The new height (the width in horizontal orientation) of item's body. It might be less than
+         *          the requested height, if the item is a stretch item and there is not enough space for it</dd>
+         *      <dt>userResize</dt>
+         *          <dd>True if the item has been resized by the user by dragging its splitter</dd>
          *  </dl>
          */
         this.publish( ITEMERESIZED );
 
         /**
-         * Signals the beginning of expanding an item
+         * Signals the beginning of expanding an item. Returning false will cancel expanding -
+         * item's <code>expanded</code> and <code>alwaysVisible</code> properties and its icons will be restored.
+         * If the item is being expanded by setting its <code>expanded</code> property, the event will be fired
+         * before the property is changed and returning false will prevent the change.
          *
          * @event beforeItemExpand
          * @param event {Event.Facade} An Event Facade object with the following attribute specific properties added:
@@ -351,7 +738,10 @@ Y.extend( Accordion, Y.Widget, {
         this.publish( BEFOREITEMEXPAND );
         
         /**
-         * Signals the beginning of collapsing an item
+         * Signals the beginning of collapsing an item. Returning false will cancel collapsing -
+         * item's <code>expanded</code> and <code>alwaysVisible</code> properties and its icons will be restored.
+         * If the item is being collapsed by setting its <code>expanded</code> property, the event will be fired
+         * before the property is changed and returning false will prevent the change.
          *
          * @event beforeItemCollapse
          * @param event {Event.Facade} An Event Facade object with the following attribute specific properties added:
@@ -388,13 +778,16 @@ Y.extend( Accordion, Y.Widget, {
         this.publish( ITEMCOLLAPSED );
         
         /**
-         * Signals the beginning of reordering an item
+         * Signals the beginning of reordering an item. Returning false will cancel reordering
          *
          * @event beforeItemReorder
          * @param event {Event.Facade} An Event Facade object with the following attribute specific properties added:
          *  <dl>
          *      <dt>item</dt>
          *          <dd>An <code>AccordionItem</code> instance of the item being reordered</dd>
+         *      <dt>index</dt>
+         *          <dd>The index, to which the item is going to be moved. Available only if the item is
+         *          being moved by <code>moveItem</code> method or by using the keyboard</dd>
          *  </dl>
          */
         this.publish( BEFOREITEMREORDER );
@@ -423,6 +816,87 @@ Y.extend( Accordion, Y.Widget, {
          *  </dl>
          */
         this.publish( ITEMREORDERED );
+
+        /**
+         * Signals loading of item's content from its <code>contentSource</code> has failed
+         *
+         * @event itemContentError
+         * @param event {Event.Facade} An Event Facade object with the following attribute specific properties added:
+         *  <dl>
+         *      <dt>item</dt>
+         *          <dd>An <code>AccordionItem</code> instance of the item which content has been not loaded</dd>
+         *      <dt>error</dt>
+         *          <dd>The error message or null if there is no such</dd>
+         *  </dl>
+         */
+        this.publish( ITEMCONTENTERROR );
+
+        /**
+         * Signals collapsing of an item has been blocked, because otherwise the number of expanded items
+         * would be less than <code>requireExpanded</code>
+         *
+         * @event itemCollapseBlocked
+         * @param event {Event.Facade} An Event Facade object with the following attribute specific properties added:
+         *  <dl>
+         *      <dt>item</dt>
+         *          <dd>An <code>AccordionItem</code> instance of the item which collapsing has been blocked</dd>
+         *  </dl>
+         */
+        this.publish( ITEMCOLLAPSEBLOCKED );
+
+        /**
+         * Signals a custom action button in item's header has been clicked. The default function
+         * invokes the handler of the action. Preventing the default will skip the handler.
+         *
+         * @event itemActionClick
+         * @param event {Event.Facade} An Event Facade object with the following attribute specific properties added:
+         *  <dl>
+         *      <dt>item</dt>
+         *          <dd>An <code>AccordionItem</code> instance of the item which action has been clicked</dd>
+         *      <dt>name</dt>
+         *          <dd>The name of the action</dd>
+         *  </dl>
+         */
+        this.publish( ITEMACTIONCLICK, {
+            defaultFn: this._defItemActionClickFn
+        });
+
+        /**
+         * Fires before moving an item to another Accordion. The event is fired by both source and target Accordion.
+         * Returning false will cancel the transfer.
+         *
+         * @event beforeItemTransfer
+         * @param event {Event.Facade} An Event Facade object with the following attribute specific properties added:
+         *  <dl>
+         *      <dt>item</dt>
+         *          <dd>An <code>AccordionItem</code> instance of the item being transferred</dd>
+         *      <dt>source</dt>
+         *          <dd>The Accordion, from which the item is being removed</dd>
+         *      <dt>target</dt>
+         *          <dd>The Accordion, to which the item is being added</dd>
+         *      <dt>index</dt>
+         *          <dd>The index of the item in the target Accordion</dd>
+         *  </dl>
+         */
+        this.publish( BEFOREITEMTRANSFER );
+
+        /**
+         * Signals an item has been moved to another Accordion. The event is fired by both source and target Accordion.
+         *
+         * @event itemTransferred
+         * @param event {Event.Facade} An Event Facade object with the following attribute specific properties added:
+         *  <dl>
+         *      <dt>item</dt>
+         *          <dd>An <code>AccordionItem</code> instance of the item that has been transferred</dd>
+         *      <dt>source</dt>
+         *          <dd>The Accordion, from which the item has been removed</dd>
+         *      <dt>target</dt>
+         *          <dd>The Accordion, to which the item has been added</dd>
+         *      <dt>index</dt>
+         *          <dd>The index of the item in the target Accordion</dd>
+         *  </dl>
+         */
+        this.publish( ITEMTRANSFERRED );
     },
 
     
@@ -456,8 +930,104 @@ Y.extend( Accordion, Y.Widget, {
         }
 
         delete this._itemsHandles[ item ];
+
+        if( this._resyncTimers[ item ] ){
+            this._resyncTimers[ item ].cancel();
+            delete this._resyncTimers[ item ];
+        }
+    },
+
+
+    /**
+     * Destroys the drag and drop instances of given item
+     *
+     * @method _removeItemDragDrop
+     * @protected
+     * @param {Y.AccordionItem} item The item, which drag and drop instances to destroy
+     */
+    _removeItemDragDrop: function( item ){
+        var itemDragDrop = this._itemsDragDrop[ item ];
+
+        if( itemDragDrop ){
+            itemDragDrop.drag.destroy();
+            itemDragDrop.drop.destroy();
+
+            delete this._itemsDragDrop[ item ];
+        }
     },
     
+    /**
+     * Checks whether Accordion has horizontal orientation
+     *
+     * @method _isHorizontal
+     * @protected
+     * @return {Boolean} True if the orientation is horizontal, false otherwise
+     */
+    _isHorizontal: function(){
+        return this.get( ORIENTATION ) === HORIZONTAL;
+    },
+
+
+    /**
+     * Returns the name of the style property, which should be changed when expanding or collapsing items -
+     * "height" in vertical orientation and "width" in horizontal one
+     *
+     * @method _getSizeProperty
+     * @protected
+     * @return {String} The name of the style property
+     */
+    _getSizeProperty: function(){
+        return this._isHorizontal() ? WIDTH : HEIGHT;
+    },
+
+
+    /**
+     * Obtains the precise size of the node provided along Accordion's orientation -
+     * its height in vertical orientation and its width in horizontal one.
+     *
+     * @method _getNodeOffsetSize
+     * @protected
+     * @param {Node|HTMLElement} node The node to gather the size from
+     * @return {Number} The calculated size or zero in case of failure
+     */
+    _getNodeOffsetSize: function( node ){
+        return this._isHorizontal() ? this._getNodeOffsetWidth( node ) : this._getNodeOffsetHeight( node );
+    },
+
+
+    /**
+     * Obtains the precise width of the node provided, including padding and border.
+     *
+     * @method _getNodeOffsetWidth
+     * @protected
+     * @param {Node|HTMLElement} node The node to gather the width from
+     * @return {Number} The calculated width or zero in case of failure
+     */
+    _getNodeOffsetWidth: function( node ){
+        var width, preciseRegion;
+
+        if( node instanceof Node ){
+            if( node.hasMethod( "getBoundingClientRect" ) ){
+                preciseRegion = node.invoke( "getBoundingClientRect" );
+
+                if( preciseRegion ){
+                    width = preciseRegion.right - preciseRegion.left;
+
+                    return width;
+                }
+            } else {
+                width = node.get( "offsetWidth" );
+                return Y.Lang.isValue( width ) ? width : 0;
+            }
+        } else if( node ){
+            width = node.offsetWidth;
+            return Y.Lang.isValue( width ) ? width : 0;
+        }
+
+        return 0;
+    },
+
+
     /**
      * Obtains the precise height of the node provided, including padding and border.
      *
@@ -535,6 +1105,8 @@ Y.extend( Accordion, Y.Widget, {
     _setItemUI: function( item, expanding, alwaysVisible ){
         item.markAsExpanded( expanding );
         item.markAsAlwaysVisible( alwaysVisible );
+
+        this._syncItemSplitter( item, expanding );
     },
 
 
@@ -553,21 +1125,177 @@ Y.extend( Accordion, Y.Widget, {
         this._setUpResizing( resizeEvent );
 
         this.after( "resizeEventChange", Y.bind( this._afterResizeEventChange, this ) );
+
+        this._setUpNesting();
     },
 
 
     /**
-     * Set up resizing with the new value provided
+     * If Accordion has been placed in the body of an item of another Accordion, makes its events to bubble
+     * to this item and subscribes for resizing of the item in order to adjust stretch items.
+     * The method does nothing if the parent item has been not found or nesting has been already set up.
      *
-     * @method _afterResizeEventChange
+     * @method _setUpNesting
      * @protected
-     * @param params {Event} after resizeEventChange custom event
      */
-    _afterResizeEventChange: function( params ){
-        this._setUpResizing( params.newValue );
+    _setUpNesting: function(){
+        var bb, parentItem, parentAccordion;
+
+        bb = this.get( BOUNDING_BOX );
+
+        if( this._parentItem || !bb.inDoc() ){
+            return;
+        }
+
+        parentItem = Y.Widget.getByNode( bb.get( PARENT_NODE ) );
+
+        if( !(parentItem instanceof Y.AccordionItem) ){
+            return;
+        }
+
+        this._parentItem = parentItem;
+
+        this.addTarget( parentItem );
+
+        this._nestingHandles.push( parentItem.after( "contentHeightChange", Y.bind( this._syncNestedUI, this ) ) );
+
+        parentAccordion = Y.Widget.getByNode( parentItem.get( BOUNDING_BOX ).get( PARENT_NODE ) );
+
+        if( parentAccordion instanceof Accordion ){
+            this._nestingHandles.push( parentAccordion.after( ITEMERESIZED, Y.bind( this._afterParentItemResized, this ) ) );
+        }
+
+        this._syncNestedUI();
     },
 
-    
+
+    /**
+     * Detaches nested Accordion from its parent item
+     *
+     * @method _removeNesting
+     * @protected
+     */
+    _removeNesting: function(){
+        Y.Array.each( this._nestingHandles, function( handle ){
+            handle.detach();
+        });
+
+        this._nestingHandles = [];
+
+        if( this._parentItem ){
+            this.removeTarget( this._parentItem );
+            this._parentItem = null;
+            this._parentItemLayout = null;
+        }
+    },
+
+
+    /**
+     * If the parent item's height depends on its content, nested Accordion should have the height of its items
+     *
+     * @method _syncNestedUI
+     * @protected
+     */
+    _syncNestedUI: function(){
+        var bb = this.get( BOUNDING_BOX );
+
+        if( this._parentItem.get( CONTENT_HEIGHT ).method === AUTO ){
+            bb.addClass( C_NESTED_AUTO );
+        } else {
+            bb.removeClass( C_NESTED_AUTO );
+        }
+    },
+
+
+    /**
+     * Adjusts stretch items of nested Accordion when its parent item has been resized.
+     * Resizing of the stretch items might resize the parent item again, if its height depends on its content.
+     * To prevent endless loop, the adjusting will be skipped if it is already in progress or if neither the size
+     * of Accordion, nor its offset in the body of the parent item have been changed since the last adjusting.
+     *
+     * @method _afterParentItemResized
+     * @protected
+     * @param e {Event} itemResized event of the parent Accordion
+     */
+    _afterParentItemResized: function( e ){
+        var bb, layout;
+
+        if( e.item !== this._parentItem || this._adjustingToParent ){
+            return;
+        }
+
+        bb = this.get( BOUNDING_BOX );
+
+        if( this._isHorizontal() ){
+            layout = [ bb.get( "clientWidth" ), bb.get( "offsetLeft" ) ].join( ',' );
+        } else {
+            layout = [ bb.get( "clientHeight" ), bb.get( "offsetTop" ) ].join( ',' );
+        }
+
+        if( layout === this._parentItemLayout ){
+            return;
+        }
+
+        this._parentItemLayout = layout;
+        this._adjustingToParent = true;
+
+        try {
+            this._adjustStretchItems();
+        } finally {
+            this._adjustingToParent = false;
+        }
+    },
+
+
+    /**
+     * Set up nesting of Accordion instances, placed in the body of given item
+     *
+     * @method _setUpNestedAccordions
+     * @protected
+     * @param {Y.AccordionItem} item The item which body should be searched for nested Accordion instances
+     */
+    _setUpNestedAccordions: function( item ){
+        var body = item.getStdModNode( WidgetStdMod.BODY );
+
+        body.queryAll( DOT + getCN( AccName ) ).each( function( node ){
+            var accordion = Y.Widget.getByNode( node );
+
+            if( accordion instanceof Accordion ){
+                accordion._setUpNesting();
+            }
+        }, this );
+    },
+
+
+    /**
+     * Re-measures an expanded item, which contentHeight is "auto", when Accordion nested in its body
+     * has been resized
+     *
+     * @method _afterNestedItemResized
+     * @protected
+     * @param {Y.AccordionItem} item The parent item of nested Accordion
+     * @param e {Event} itemResized event of nested Accordion
+     */
+    _afterNestedItemResized: function( item, e ){
+        if( item.get( EXPANDED ) && item.get( CONTENT_HEIGHT ).method === AUTO ){
+            this._adjustStretchItems();
+            this._syncItemHeight( item );
+        }
+    },
+
+
+    /**
+     * Set up resizing with the new value provided
+     *
+     * @method _afterResizeEventChange
+     * @protected
+     * @param params {Event} after resizeEventChange custom event
+     */
+    _afterResizeEventChange: function( params ){
+        this._setUpResizing( params.newValue );
+    },
+
+    
     /**
      * Distributes the involved items as result of user interaction on item header.
      * Some items might be stored in the list for collapsing, other in the list for expanding. 
@@ -599,6 +1327,7 @@ Y.extend( Accordion, Y.Widget, {
 
                 this._setItemProperties( item, expanded, alwaysVisible );
                 this._setItemUI( item, expanded, alwaysVisible );
+                this._savePersistedState();
 
                 return;
             } else {
@@ -649,20 +1378,22 @@ Y.extend( Accordion, Y.Widget, {
      * 
      * @method adjustStretchItems
      * @protected
-     * @return {Number} The calculated height per strech item
+     * @param {Boolean} forceSkipAnimation (optional) If true, the animation will be skipped,
+     * without taking in consideration Accordion's <code>useAnimation</code> setting
+     * @return {Object} The calculated heights of the stretch items, as returned by <code>_getStretchItemsHeights</code>
      */
-    _adjustStretchItems: function(){
-        var items = this.get( ITEMS ), heightPerStretchItem;
+    _adjustStretchItems: function( forceSkipAnimation ){
+        var items = this.get( ITEMS ), stretchItemsHeights;
 
-        heightPerStretchItem = this._getHeightPerStretchItem();
+        stretchItemsHeights = this._getStretchItemsHeights();
         
         Y.Array.each( items, function( item, index, items ){
-            var body, bodyHeight, anim, heightSettings, expanded;
+            var body, bodyHeight, anim, heightSettings, expanded, itemHeight;
 
             heightSettings = item.get( CONTENT_HEIGHT );
             expanded      = item.get( EXPANDED );
 
-            if( heightSettings.method === STRETCH && expanded ){
+            if( heightSettings.method === STRETCH && expanded && item.get( VISIBLE ) ){
                 anim = this._animations[ item ];
 
                 // stop waiting animation
@@ -671,39 +1402,48 @@ Y.extend( Accordion, Y.Widget, {
                 }
 
                 body = item.getStdModNode( WidgetStdMod.BODY );
-                bodyHeight = this._getNodeOffsetHeight( body );
+                bodyHeight = this._getNodeOffsetSize( body );
+                itemHeight = stretchItemsHeights[ item ];
 
-                if( heightPerStretchItem < bodyHeight ){
-                    this._processCollapsing( item, heightPerStretchItem );
-                } else if( heightPerStretchItem > bodyHeight ){
-                    this._processExpanding( item, heightPerStretchItem );
+                if( itemHeight < bodyHeight ){
+                    this._processCollapsing( item, itemHeight, forceSkipAnimation );
+                } else if( itemHeight > bodyHeight ){
+                    this._processExpanding( item, itemHeight, forceSkipAnimation );
                 }
             }
         }, this );
 
-        return heightPerStretchItem;
+        return stretchItemsHeights;
     },
 
     /**
-     * Calculates the height per strech item.
+     * Calculates the height (or the width in horizontal orientation) of each expanded and visible strech item.
+     * Hidden items do not take any space. The available space will be distributed proportionally
+     * to the <code>weight</code> of the items.
+     * If the height of an item goes out of its <code>min</code> or <code>max</code> limits, the height
+     * will be fixed to the limit and the rest of the space will be distributed between the other items.
      * 
-     * @method _getHeightPerStretchItem
+     * @method _getStretchItemsHeights
      * @protected
-     * @return {Number} The calculated height per strech item
+     * @return {Object} The calculated heights, the keys are the items
      */
-    _getHeightPerStretchItem: function(){
-        var height, items, stretchCounter = 0;
+    _getStretchItemsHeights: function(){
+        var height, items, stretchItems = [], heights = {}, totalWeight, fixed, heightPerWeight;
 
         items = this.get( ITEMS );
-        height = this.get( BOUNDING_BOX ).get( "clientHeight" );
+        height = this.get( BOUNDING_BOX ).get( this._isHorizontal() ? "clientWidth" : "clientHeight" );
 
         Y.Array.each( items, function( item, index, items ){
             var collapsed, itemContentHeight, header, heightSettings, headerHeight;
 
+            if( !item.get( VISIBLE ) ){
+                return;
+            }
+
             header = item.getStdModNode( WidgetStdMod.HEADER );
             heightSettings = item.get( CONTENT_HEIGHT );
             
-            headerHeight = this._getNodeOffsetHeight( header );
+            headerHeight = this._getNodeOffsetSize( header );
 
             height -= headerHeight;
             collapsed = !item.get( EXPANDED );
@@ -714,27 +1454,126 @@ Y.extend( Accordion, Y.Widget, {
             }
 
             if( heightSettings.method === STRETCH ){
-                stretchCounter++;
+                stretchItems.push( item );
             } else {
                 itemContentHeight = this._getItemContentHeight( item );
                 height -= itemContentHeight;
             }
         }, this );
 
-        if( stretchCounter > 0 ){
-            height /= stretchCounter;
-        }
-
         if( height < 0 ){
             height = 0;
         }
 
-        return height;
+        while( stretchItems.length ){
+            totalWeight = 0;
+
+            Y.Array.each( stretchItems, function( item, index, stretchItems ){
+                totalWeight += this._getStretchSetting( item, "weight", 1 );
+            }, this );
+
+            heightPerWeight = height / totalWeight;
+
+            // fix the items, which are under their min limit first, then those over their max limit
+            fixed = this._fixStretchItems( stretchItems, heights, heightPerWeight, "min" );
+
+            if( !fixed.length ){
+                fixed = this._fixStretchItems( stretchItems, heights, heightPerWeight, "max" );
+            }
+
+            if( !fixed.length ){
+                Y.Array.each( stretchItems, function( item, index, stretchItems ){
+                    heights[ item ] = heightPerWeight * this._getStretchSetting( item, "weight", 1 );
+                }, this );
+
+                break;
+            }
+
+            Y.Array.each( fixed, function( item, index, fixed ){
+                height = Math.max( height - heights[ item ], 0 );
+                stretchItems.splice( Y.Array.indexOf( stretchItems, item ), 1 );
+            }, this );
+        }
+
+        return heights;
+    },
+
+
+    /**
+     * Calculates the height per strech item. Kept for compatibility - if the stretch items have different
+     * <code>weight</code> or limits, the average of their heights will be returned.
+     * 
+     * @method _getHeightPerStretchItem
+     * @protected
+     * @deprecated Use <code>_getStretchItemsHeights</code> instead
+     * @return {Number} The calculated height per strech item or 0 if there are no expanded stretch items
+     */
+    _getHeightPerStretchItem: function(){
+        var heights, total = 0, count = 0;
+
+        heights = this._getStretchItemsHeights();
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, items ){
+            if( Lang.isNumber( heights[ item ] ) ){
+                total += heights[ item ];
+                count++;
+            }
+        }, this );
+
+        return count > 0 ? total / count : 0;
+    },
+
+
+    /**
+     * Fixes the height of the stretch items, which would go out of given limit, to the value of the limit
+     *
+     * @method _fixStretchItems
+     * @protected
+     * @param {Array} stretchItems The stretch items, which height is not fixed yet
+     * @param {Object} heights The calculated heights, the fixed heights will be stored there
+     * @param {Number} heightPerWeight The height per unit of weight
+     * @param {String} limitName The limit to be checked - "min" or "max"
+     * @return {Array} The items, which height has been fixed
+     */
+    _fixStretchItems: function( stretchItems, heights, heightPerWeight, limitName ){
+        var fixed = [];
+
+        Y.Array.each( stretchItems, function( item, index, stretchItems ){
+            var height, limit;
+
+            height = heightPerWeight * this._getStretchSetting( item, "weight", 1 );
+            limit = this._getStretchSetting( item, limitName, null );
+
+            if( limit !== null && ( limitName === "min" ? height < limit : height > limit ) ){
+                heights[ item ] = limit;
+                fixed.push( item );
+            }
+        }, this );
+
+        return fixed;
+    },
+
+
+    /**
+     * Returns a setting from <code>contentHeight</code> property of a stretch item
+     *
+     * @method _getStretchSetting
+     * @protected
+     * @param {Y.AccordionItem} item The item
+     * @param {String} name The name of the setting - "weight", "min" or "max"
+     * @param {Any} defaultValue The value to be returned if the setting is not set
+     * @return {Number} The value of the setting
+     */
+    _getStretchSetting: function( item, name, defaultValue ){
+        var value = item.get( CONTENT_HEIGHT )[ name ];
+
+        return Lang.isNumber( value ) ? value : defaultValue;
     },
 
     
     /**
      * Calculates the height of given item depending on its "contentHeight" property.
+     * In horizontal orientation the width of the item will be calculated.
      * 
      * @method _getItemContentHeight
      * @protected
@@ -742,18 +1581,16 @@ Y.extend( Accordion, Y.Widget, {
      * @return {Number} The calculated item's height
      */
     _getItemContentHeight: function( item ){
-        var heightSettings, height = 0, body, bodyContent;
+        var heightSettings, height = 0;
 
         heightSettings = item.get( CONTENT_HEIGHT );
 
         if( heightSettings.method === "auto" ){
-            body = item.getStdModNode( WidgetStdMod.BODY );
-            bodyContent = body.get( CHILDREN ).item(0);
-            height = bodyContent ? this._getNodeOffsetHeight( bodyContent ) : 0;
+            height = this._getBodyContentSize( item.getStdModNode( WidgetStdMod.BODY ) );
         } else if( heightSettings.method === "fixed" ) {
             height = heightSettings.height;
         } else {
-            height = this._getHeightPerStretchItem();
+            height = this._getStretchItemsHeights()[ item ] || 0;
         }
 
         return height;
@@ -761,159 +1598,472 @@ Y.extend( Accordion, Y.Widget, {
 
     
     /**
-     * Stores all items, which are expanded and not set as always visible in list
-     * in order to be collapsed later.
-     * 
-     * @method _storeItemsForCollapsing
+     * Measures the content of item's body. If there are more than one child nodes,
+     * the distance between the beginning of the first one and the end of the last one will be returned.
+     *
+     * @method _getBodyContentSize
      * @protected
-     * @param {Object} itemsToBeExcluded (optional) Contains one or more <code>Y.AccordionItem</code> instances,
-     * which should be not included in the list
+     * @param {Node} body The body of an item
+     * @return {Number} The height (the width in horizontal orientation) of the content
      */
-    _storeItemsForCollapsing: function( itemsToBeExcluded ){
-        var items;
+    _getBodyContentSize: function( body ){
+        var children, horizontal, start = null, end = null;
 
-        itemsToBeExcluded = itemsToBeExcluded || {};
-        items = this.get( ITEMS );
+        children = body.get( CHILDREN );
 
-        Y.Array.each( items, function( item, index, items ){
-            var expanded, alwaysVisible;
+        if( !children || !children.size() ){
+            return 0;
+        } else if( children.size() === 1 ){
+            return this._getNodeOffsetSize( children.item( 0 ) );
+        }
 
-            expanded = item.get( EXPANDED );
-            alwaysVisible = item.get( ALWAYSVISIBLE );
+        horizontal = this._isHorizontal();
 
-            if( expanded && !alwaysVisible && !itemsToBeExcluded[ item ] ){
-                this._forCollapsing[ item ] = {
-                    'item': item
-                };
+        children.each( function( child, index, children ){
+            var region, childStart, childEnd;
+
+            region = child.get( "region" );
+
+            if( !region ){
+                return;
             }
-        }, this );
-    },
 
-    
-    /**
-     * Expands an item to given height. This includes also an update to item's user interface
-     * 
-     * @method _expandItem
-     * @protected
-     * @param {Y.AccordionItem} item The item, which should be expanded
-     * @param {Number} height The height to which we should expand the item
-     */
-    _expandItem: function( item, height ){
-        var alwaysVisible = item.get( ALWAYSVISIBLE );
+            childStart = horizontal ? region.left : region.top;
+            childEnd = horizontal ? region.right : region.bottom;
 
-        this._processExpanding( item, height );
-        this._setItemUI( item, true, alwaysVisible );
+            if( start === null || childStart < start ){
+                start = childStart;
+            }
+
+            if( end === null || childEnd > end ){
+                end = childEnd;
+            }
+        }, this );
+
+        return ( start === null ) ? 0 : end - start;
     },
 
-    
+
     /**
-     * Expands an item to given height. Depending on the <code>useAnimation</code> setting, 
-     * the process of expanding might be animated. This setting will be ignored, if <code>forceSkipAnimation</code> param
-     * is <code>true</code>.
-     * 
-     * @method _processExpanding
+     * Starts watching for changes of the content in item's body - added or removed nodes, changed text
+     * and loaded images. The returned handle has the same interface as the event handles, so it can be
+     * stored together with them. Changes of nodes and text can be noticed only in browsers with MutationObserver.
+     * In the other browsers only loaded images and other elements, which fire load event, will be noticed.
+     *
+     * @method _watchItemContent
      * @protected
-     * @param {Y.AccordionItem} item An <code>Y.AccordionItem</code> instance to be expanded
-     * @param {Boolean} forceSkipAnimation If true, the animation will be skipped, 
-     * without taking in consideration Accordion's <code>useAnimation</code> setting
-     * @param {Number} height The height to which item should be expanded
+     * @param {Y.AccordionItem} item The item, which content should be watched
+     * @return {Object} Handle with <code>detach</code> method, which stops watching
      */
-    _processExpanding: function( item, height, forceSkipAnimation ){
-        var anim, curAnim, animSettings, notifyOthers = false,
-            accAnimationSettings, body;
-        
-        body = item.getStdModNode( WidgetStdMod.BODY );
+    _watchItemContent: function( item ){
+        var body, callback, observer = null;
 
-        this.fire( BEFOREITEMERESIZED, {
-            'item': item
-        });
+        body = Node.getDOMNode( item.getStdModNode( WidgetStdMod.BODY ) );
+        callback = Y.bind( this._scheduleItemResync, this, item );
 
-        if( body.get( "clientHeight" ) <= 0 ){
-            notifyOthers = true;
-            this.fire( BEFOREITEMEXPAND, {
-                'item': item
+        if( window.MutationObserver ){
+            observer = new window.MutationObserver( callback );
+
+            observer.observe( body, {
+                childList: true,
+                characterData: true,
+                subtree: true
             });
         }
 
-        if( !forceSkipAnimation && this.get( "useAnimation" ) ){
-            animSettings = item.get( ANIMATION ) || {};
+        // load event of the images does not bubble, so it is captured
+        if( body.addEventListener ){
+            body.addEventListener( "load", callback, true );
+        }
 
-            anim = new Anim( {
-                node: body,
-                to: {
-                    'height': height
+        return {
+            detach: function(){
+                if( observer ){
+                    observer.disconnect();
                 }
-            });
-
-            anim.on( "end", Y.bind( this._onExpandComplete, this, item, notifyOthers ) );
 
-            accAnimationSettings = this.get( ANIMATION );
-
-            anim.set( "duration", animSettings.duration || accAnimationSettings.duration );
-            anim.set( "easing"  , animSettings.easing   || accAnimationSettings.easing   );
-            
-            curAnim = this._animations[ item ];
-            
-            if( curAnim ){
-                curAnim.stop();
+                if( body.removeEventListener ){
+                    body.removeEventListener( "load", callback, true );
+                }
             }
+        };
+    },
 
-            item.markAsExpanding( true );
-
-            this._animations[ item ] = anim;
-
-            anim.run();
-        } else {
-            body.setStyle( "height", height + PX );
 
-            this.fire( ITEMERESIZED, {
-                'item': item
-            });
+    /**
+     * Schedules synchronization of item's height with its content. Multiple changes in a short time
+     * will cause only one synchronization.
+     *
+     * @method _scheduleItemResync
+     * @protected
+     * @param {Y.AccordionItem} item The item, which content has been changed
+     */
+    _scheduleItemResync: function( item ){
+        var timer = this._resyncTimers[ item ];
 
-            if( notifyOthers ){
-                this.fire( ITEMEXPANDED, {
-                    'item': item
-                });
-            }
+        if( timer ){
+            timer.cancel();
         }
+
+        this._resyncTimers[ item ] = Y.later( CONTENT_RESYNC_DELAY, this, this._resyncItem, [ item ] );
     },
 
 
     /**
-     * Executes when animated expanding completes
+     * Expands or collapses an expanded item with "auto" <code>contentHeight</code> to the new height of its content
+     * and adjusts the stretch items. If the item is being animated, the synchronization will be scheduled again,
+     * so the change will be not lost.
      *
-     * @method _onExpandComplete
+     * @method _resyncItem
      * @protected
-     * @param {Y.AccordionItem} item An <code>Y.AccordionItem</code> instance which has been expanded
-     * @param {Boolean} notifyOthers If true, itemExpanded event will be fired
+     * @param {Y.AccordionItem} item The item, which content has been changed
      */
-    _onExpandComplete: function( item, notifyOthers ){
-        delete this._animations[ item ];
+    _resyncItem: function( item ){
+        delete this._resyncTimers[ item ];
 
-        item.markAsExpanding( false );
+        if( this.getItemIndex( item ) < 0 || !item.get( EXPANDED ) || item.get( CONTENT_HEIGHT ).method !== AUTO ){
+            return;
+        }
 
-        this.fire( ITEMERESIZED, {
-            'item': item
-        });
+        if( this._animations[ item ] ){
+            this._scheduleItemResync( item );
+            return;
+        }
 
-        if( notifyOthers ){
-            this.fire( ITEMEXPANDED, {
-                'item': item
-            });
+        if( this._getItemContentHeight( item ) !== this._getNodeOffsetSize( item.getStdModNode( WidgetStdMod.BODY ) ) ){
+            this._adjustStretchItems();
+            this._syncItemHeight( item );
         }
     },
 
     
     /**
-     * Collapse an item and update its user interface
-     * 
-     * @method _collapseItem
+     * Returns the overflow of item's body - item's own setting or Accordion's one, if the item has no such
+     *
+     * @method _getItemOverflow
      * @protected
-     * @param {Y.AccordionItem} item The item, which should be collapsed
+     * @param {Y.AccordionItem} item The item
+     * @return {String} The overflow value
      */
-    _collapseItem: function( item ){
-        this._processCollapsing( item, COLLAPSE_HEIGHT );
-        this._setItemUI( item, false, false );
+    _getItemOverflow: function( item ){
+        return item.get( OVERFLOW ) || this.get( OVERFLOW );
+    },
+
+
+    /**
+     * Applies the overflow to the body of an item. Collapsed items have always hidden overflow.
+     * If the item is expanded and it has stored scroll position, the position will be restored.
+     *
+     * @method _applyItemOverflow
+     * @protected
+     * @param {Y.AccordionItem} item The item
+     */
+    _applyItemOverflow: function( item ){
+        var body, expanded, position;
+
+        body = item.getStdModNode( WidgetStdMod.BODY );
+        expanded = item.get( EXPANDED );
+
+        body.setStyle( OVERFLOW, expanded ? this._getItemOverflow( item ) : HIDDEN );
+
+        position = this._scrollPositions[ item ];
+
+        if( expanded && position && this._getNodeOffsetSize( body ) > COLLAPSE_HEIGHT ){
+            body.set( "scrollTop", position.top );
+            body.set( "scrollLeft", position.left );
+
+            delete this._scrollPositions[ item ];
+        }
+    },
+
+
+    /**
+     * Checks whether a built-in icon should be shown in item's header. The setting of the item has
+     * precedence over the setting of Accordion.
+     *
+     * @method _isIconShown
+     * @protected
+     * @param {Y.AccordionItem} item The item
+     * @param {String} name The name of the setting - "showIconAlwaysVisible" or "showIconExpanded"
+     * @return {Boolean} True if the icon should be shown, false otherwise
+     */
+    _isIconShown: function( item, name ){
+        var value = item.get( name );
+
+        return Lang.isBoolean( value ) ? value : this.get( name );
+    },
+
+
+    /**
+     * Shows or hides the always visible and the expand icons of an item, depending on the settings
+     *
+     * @method _applyItemIcons
+     * @protected
+     * @param {Y.AccordionItem} item The item
+     */
+    _applyItemIcons: function( item ){
+        var iconAlwaysVisible, iconExpanded;
+
+        iconAlwaysVisible = item.get( ICON_ALWAYSVISIBLE );
+        iconExpanded = item.get( ICON_EXPANDED );
+
+        if( this._isIconShown( item, SHOW_ICON_ALWAYSVISIBLE ) ){
+            iconAlwaysVisible.removeClass( C_ICONALWAYSVISIBLE_HIDDEN );
+        } else {
+            iconAlwaysVisible.addClass( C_ICONALWAYSVISIBLE_HIDDEN );
+        }
+
+        if( this._isIconShown( item, SHOW_ICON_EXPANDED ) ){
+            iconExpanded.removeClass( C_ICONEXPANDED_HIDDEN );
+        } else {
+            iconExpanded.addClass( C_ICONEXPANDED_HIDDEN );
+        }
+    },
+
+
+    /**
+     * Applies the new icons settings of an item
+     *
+     * @method _afterItemShowIconChange
+     * @protected
+     * @param {EventFacade} params The event facade for the attribute change
+     */
+    _afterItemShowIconChange: function( params ){
+        this._applyItemIcons( params.currentTarget );
+    },
+
+
+    /**
+     * Applies the new icons settings to all items
+     *
+     * @method _afterShowIconChange
+     * @protected
+     * @param {EventFacade} params The event facade for the attribute change
+     */
+    _afterShowIconChange: function( params ){
+        Y.Array.each( this.get( ITEMS ), function( item, index, items ){
+            this._applyItemIcons( item );
+        }, this );
+    },
+
+
+    /**
+     * Stores the scroll position of item's body, so it can be restored when the item is expanded again
+     *
+     * @method _saveScrollPosition
+     * @protected
+     * @param {Y.AccordionItem} item The item
+     */
+    _saveScrollPosition: function( item ){
+        var body = item.getStdModNode( WidgetStdMod.BODY );
+
+        this._scrollPositions[ item ] = {
+            top: body.get( "scrollTop" ),
+            left: body.get( "scrollLeft" )
+        };
+    },
+
+
+    /**
+     * Applies the overflow of an item, if it has been changed, unless the item is being animated
+     *
+     * @method _afterItemOverflowChange
+     * @protected
+     * @param {EventFacade} params The event facade for the attribute change
+     */
+    _afterItemOverflowChange: function( params ){
+        var item = params.currentTarget;
+
+        if( !this._animations[ item ] ){
+            this._applyItemOverflow( item );
+        }
+    },
+
+
+    /**
+     * Applies the new overflow to all items, which are not being animated
+     *
+     * @method _afterOverflowChange
+     * @protected
+     * @param {EventFacade} params The event facade for the attribute change
+     */
+    _afterOverflowChange: function( params ){
+        Y.Array.each( this.get( ITEMS ), function( item, index, items ){
+            if( !this._animations[ item ] ){
+                this._applyItemOverflow( item );
+            }
+        }, this );
+    },
+
+    
+    /**
+     * Stores all items, which are expanded, enabled and not set as always visible in list
+     * in order to be collapsed later. The items will be marked as implicit - they will be collapsed
+     * only if some other item will be expanded.
+     * 
+     * @method _storeItemsForCollapsing
+     * @protected
+     * @param {Object} itemsToBeExcluded (optional) Contains one or more <code>Y.AccordionItem</code> instances,
+     * which should be not included in the list
+     */
+    _storeItemsForCollapsing: function( itemsToBeExcluded ){
+        var items;
+
+        itemsToBeExcluded = itemsToBeExcluded || {};
+        items = this.get( ITEMS );
+
+        Y.Array.each( items, function( item, index, items ){
+            var expanded, alwaysVisible;
+
+            expanded = item.get( EXPANDED );
+            alwaysVisible = item.get( ALWAYSVISIBLE );
+
+            if( expanded && !alwaysVisible && !item.get( DISABLED ) && item.get( VISIBLE ) && !itemsToBeExcluded[ item ] ){
+                this._forCollapsing[ item ] = {
+                    'item': item,
+                    'implicit': true
+                };
+            }
+        }, this );
+    },
+
+    
+    /**
+     * Expands an item to given height. This includes also an update to item's user interface
+     * 
+     * @method _expandItem
+     * @protected
+     * @param {Y.AccordionItem} item The item, which should be expanded
+     * @param {Number} height The height to which we should expand the item
+     * @param {Boolean} forceSkipAnimation (optional) If true, the animation will be skipped,
+     * without taking in consideration Accordion's <code>useAnimation</code> setting
+     */
+    _expandItem: function( item, height, forceSkipAnimation ){
+        var alwaysVisible = item.get( ALWAYSVISIBLE );
+
+        this._processExpanding( item, height, forceSkipAnimation );
+        this._setItemUI( item, true, alwaysVisible );
+    },
+
+    
+    /**
+     * Expands an item to given height. Depending on the <code>useAnimation</code> setting, 
+     * the process of expanding might be animated. This setting will be ignored, if <code>forceSkipAnimation</code> param
+     * is <code>true</code>.
+     * 
+     * @method _processExpanding
+     * @protected
+     * @param {Y.AccordionItem} item An <code>Y.AccordionItem</code> instance to be expanded
+     * @param {Boolean} forceSkipAnimation If true, the animation will be skipped, 
+     * without taking in consideration Accordion's <code>useAnimation</code> setting
+     * @param {Number} height The height to which item should be expanded
+     */
+    _processExpanding: function( item, height, forceSkipAnimation ){
+        var anim, curAnim, animSettings, notifyOthers = false,
+            accAnimationSettings, body, sizeProperty, to;
+        
+        body = item.getStdModNode( WidgetStdMod.BODY );
+        sizeProperty = this._getSizeProperty();
+
+        this.fire( BEFOREITEMERESIZED, {
+            'item': item,
+            'height': height
+        });
+
+        if( body.get( this._isHorizontal() ? "clientWidth" : "clientHeight" ) <= 0 ){
+            notifyOthers = true;
+        }
+
+        if( !forceSkipAnimation && this.get( "useAnimation" ) ){
+            animSettings = item.get( ANIMATION ) || {};
+
+            to = {};
+            to[ sizeProperty ] = height;
+
+            anim = new Anim( {
+                node: body,
+                to: to
+            });
+
+            anim.on( "end", Y.bind( this._onExpandComplete, this, item, notifyOthers ) );
+
+            accAnimationSettings = this.get( ANIMATION );
+
+            anim.set( "duration", animSettings.duration || accAnimationSettings.duration );
+            anim.set( "easing"  , animSettings.easing   || accAnimationSettings.easing   );
+            
+            curAnim = this._animations[ item ];
+            
+            if( curAnim ){
+                curAnim.stop();
+            }
+
+            body.setStyle( OVERFLOW, HIDDEN );
+
+            item.markAsExpanding( true );
+
+            this._animations[ item ] = anim;
+
+            anim.run();
+        } else {
+            body.setStyle( sizeProperty, height + PX );
+
+            this._applyItemOverflow( item );
+
+            this.fire( ITEMERESIZED, {
+                'item': item,
+                'height': height
+            });
+
+            if( notifyOthers ){
+                this.fire( ITEMEXPANDED, {
+                    'item': item
+                });
+            }
+        }
+    },
+
+
+    /**
+     * Executes when animated expanding completes
+     *
+     * @method _onExpandComplete
+     * @protected
+     * @param {Y.AccordionItem} item An <code>Y.AccordionItem</code> instance which has been expanded
+     * @param {Boolean} notifyOthers If true, itemExpanded event will be fired
+     */
+    _onExpandComplete: function( item, notifyOthers ){
+        delete this._animations[ item ];
+
+        item.markAsExpanding( false );
+
+        this._applyItemOverflow( item );
+
+        this.fire( ITEMERESIZED, {
+            'item': item,
+            'height': this._getNodeOffsetSize( item.getStdModNode( WidgetStdMod.BODY ) )
+        });
+
+        if( notifyOthers ){
+            this.fire( ITEMEXPANDED, {
+                'item': item
+            });
+        }
+    },
+
+    
+    /**
+     * Collapse an item and update its user interface
+     * 
+     * @method _collapseItem
+     * @protected
+     * @param {Y.AccordionItem} item The item, which should be collapsed
+     * @param {Boolean} forceSkipAnimation (optional) If true, the animation will be skipped,
+     * without taking in consideration Accordion's <code>useAnimation</code> setting
+     */
+    _collapseItem: function( item, forceSkipAnimation ){
+        this._processCollapsing( item, COLLAPSE_HEIGHT, forceSkipAnimation );
+        this._setItemUI( item, false, false );
     },
 
     
@@ -930,30 +2080,30 @@ Y.extend( Accordion, Y.Widget, {
      * without taking in consideration Accordion's <code>useAnimation</code> setting
      */
     _processCollapsing: function( item, height, forceSkipAnimation ){
-        var anim, curAnim, animSettings, accAnimationSettings, body, 
+        var anim, curAnim, animSettings, accAnimationSettings, body, sizeProperty, to,
             notifyOthers = (height === COLLAPSE_HEIGHT);
             
         body = item.getStdModNode( WidgetStdMod.BODY );
+        sizeProperty = this._getSizeProperty();
 
+        if( notifyOthers ){
+            this._saveScrollPosition( item );
+        }
         
         this.fire( BEFOREITEMERESIZED, {
-            'item': item
+            'item': item,
+            'height': height
         });
 
-        if( notifyOthers ){
-            this.fire( BEFOREITEMCOLLAPSE, {
-                'item': item
-            });
-        }
-
         if( !forceSkipAnimation && this.get( "useAnimation" ) ){
             animSettings = item.get( ANIMATION ) || {};
 
+            to = {};
+            to[ sizeProperty ] = height;
+
             anim = new Anim( {
                 node: body,
-                to: {
-                    'height': height
-                }
+                to: to
             });
 
             anim.on( "end", Y.bind( this._onCollapseComplete, this, item, notifyOthers ) );
@@ -968,6 +2118,8 @@ Y.extend( Accordion, Y.Widget, {
             if( curAnim ){
                 curAnim.stop();
             }
+
+            body.setStyle( OVERFLOW, HIDDEN );
             
             item.markAsCollapsing( true );
 
@@ -975,10 +2127,13 @@ Y.extend( Accordion, Y.Widget, {
 
             anim.run();
         } else {
-            body.setStyle( "height", height + PX );
+            body.setStyle( sizeProperty, height + PX );
+
+            this._applyItemOverflow( item );
 
             this.fire( ITEMERESIZED, {
-                'item': item
+                'item': item,
+                'height': height
             });
 
             if( notifyOthers ){
@@ -1003,8 +2158,11 @@ Y.extend( Accordion, Y.Widget, {
 
         item.markAsCollapsing( false );
 
+        this._applyItemOverflow( item );
+
         this.fire( ITEMERESIZED, {
-            item: item
+            'item': item,
+            'height': this._getNodeOffsetSize( item.getStdModNode( WidgetStdMod.BODY ) )
         });
 
         if( notifyOthers ){
@@ -1016,42 +2174,325 @@ Y.extend( Accordion, Y.Widget, {
 
     
     /**
-     * Make an item draggable. The item can be reordered later.
-     * 
-     * @method _initItemDragDrop
+     * Places a splitter on the lower edge (right edge in horizontal orientation) of an item
+     * and makes it draggable, so the user can resize the item
+     *
+     * @method _initItemSplitter
      * @protected
-     * @param {Y.AccordionItem} item An <code>Y.AccordionItem</code> instance to be set as draggable
+     * @param {Y.AccordionItem} item The item, which should become resizable
      */
-    _initItemDragDrop: function( item ){
-        var itemHeader, dd, bb, itemBB, ddrop;
-
-        itemHeader = item.getStdModNode( WidgetStdMod.HEADER );
+    _initItemSplitter: function( item ){
+        var splitter, dd, horizontal;
 
-        if( itemHeader.dd ){
+        if( this._itemsSplitters[ item ] ){
             return;
         }
 
-        bb = this.get( BOUNDING_BOX );
-        itemBB = item.get( BOUNDING_BOX );
+        horizontal = this._isHorizontal();
+        splitter = Node.create( '<div class="' + C_SPLITTER + ' ' + C_SPLITTER_HIDDEN + '"></div>' );
+        item.get( BOUNDING_BOX ).appendChild( splitter );
 
         dd = new Y.DD.Drag({
-            node: itemHeader,
-            groups: [ DRAGGROUP ]
+            node: splitter
         }).plug(Y.Plugin.DDProxy, {
             moveOnEnd: false
         }).plug(Y.Plugin.DDConstrained, {
-            constrain2node: bb
+            stickX: horizontal,
+            stickY: !horizontal
         });
 
-        ddrop = new Y.DD.Drop({
-            node: itemBB,
-            groups: [ DRAGGROUP ]
+        dd.on( "drag:start", Y.bind( this._onSplitterDragStart, this, item, dd ) );
+        dd.on( "drag:drag",  Y.bind( this._onSplitterDrag,      this, item, dd ) );
+        dd.on( "drag:end",   Y.bind( this._onSplitterDragEnd,   this, item, dd ) );
+
+        this._itemsSplitters[ item ] = {
+            node: splitter,
+            drag: dd
+        };
+    },
+
+
+    /**
+     * Removes the splitter of given item and destroys its drag instance
+     *
+     * @method _removeItemSplitter
+     * @protected
+     * @param {Y.AccordionItem} item The item, which splitter should be removed
+     */
+    _removeItemSplitter: function( item ){
+        var itemSplitter = this._itemsSplitters[ item ];
+
+        if( itemSplitter ){
+            itemSplitter.drag.destroy();
+            itemSplitter.node.remove();
+
+            delete this._itemsSplitters[ item ];
+        }
+    },
+
+
+    /**
+     * Shows the splitter of an item if the item is expanded and hides it otherwise
+     *
+     * @method _syncItemSplitter
+     * @protected
+     * @param {Y.AccordionItem} item The item, which splitter should be updated
+     * @param {Boolean} expanded Whether or not the item is expanded
+     */
+    _syncItemSplitter: function( item, expanded ){
+        var itemSplitter = this._itemsSplitters[ item ];
+
+        if( itemSplitter ){
+            if( expanded ){
+                itemSplitter.node.removeClass( C_SPLITTER_HIDDEN );
+            } else {
+                itemSplitter.node.addClass( C_SPLITTER_HIDDEN );
+            }
+        }
+    },
+
+
+    /**
+     * Stores the initial size of item's body and the pointer position at the time of mousedown
+     *
+     * @method _onSplitterDragStart
+     * @protected
+     * @param {Y.AccordionItem} item The item being resized
+     * @param {Y.DD.Drag} dd The drag instance of the splitter
+     * @param e {Event} the DD instance's drag:start custom event
+     */
+    _onSplitterDragStart: function( item, dd, e ){
+        var anim = this._animations[ item ];
+
+        if( anim ){
+            anim.stop();
+        }
+
+        this._splitterDrag = {
+            startSize: this._getNodeOffsetSize( item.getStdModNode( WidgetStdMod.BODY ) ),
+            // drag:start fires after the pointer has passed the click threshold, so measure from the mousedown position
+            startXY: dd.startXY
+        };
+    },
+
+
+    /**
+     * Calculates the new size of item's body, depending on the distance the splitter has been dragged
+     *
+     * @method _getSplitterSize
+     * @protected
+     * @param {Y.DD.Drag} dd The drag instance of the splitter
+     * @return {Number} The new size or -1 if there is no splitter being dragged
+     */
+    _getSplitterSize: function( dd ){
+        var splitterDrag, index;
+
+        splitterDrag = this._splitterDrag;
+
+        if( !splitterDrag || !dd.mouseXY || !splitterDrag.startXY ){
+            return -1;
+        }
+
+        index = this._isHorizontal() ? 0 : 1;
+
+        return Math.max( 0, splitterDrag.startSize + dd.mouseXY[ index ] - splitterDrag.startXY[ index ] );
+    },
+
+
+    /**
+     * Resizes item's body while the splitter is being dragged
+     *
+     * @method _onSplitterDrag
+     * @protected
+     * @param {Y.AccordionItem} item The item being resized
+     * @param {Y.DD.Drag} dd The drag instance of the splitter
+     * @param e {Event} the DD instance's drag:drag custom event
+     */
+    _onSplitterDrag: function( item, dd, e ){
+        var size = this._getSplitterSize( dd );
+
+        if( size >= 0 ){
+            item.getStdModNode( WidgetStdMod.BODY ).setStyle( this._getSizeProperty(), size + PX );
+        }
+    },
+
+
+    /**
+     * Finishes resizing of an item by its splitter. Fires beforeItemResized event - returning false will
+     * restore the initial size of the item. Otherwise, the new size will be applied to item's <code>contentHeight</code>
+     * and itemResized event will be fired.
+     *
+     * @method _onSplitterDragEnd
+     * @protected
+     * @param {Y.AccordionItem} item The item being resized
+     * @param {Y.DD.Drag} dd The drag instance of the splitter
+     * @param e {Event} the DD instance's drag:end custom event
+     */
+    _onSplitterDragEnd: function( item, dd, e ){
+        var size, startSize;
+
+        size = this._getSplitterSize( dd );
+
+        if( size < 0 ){
+            return;
+        }
+
+        startSize = this._splitterDrag.startSize;
+        this._splitterDrag = null;
+
+        this.resizeItem( item, size, startSize );
+    },
+
+
+    /**
+     * Calculates <code>contentHeight</code> of an item, resized by the user. Fixed and auto items become fixed.
+     * The weight of stretch items will be changed, so the item gets the new height from the space of all stretch
+     * items and the other stretch items share the rest. The space of the stretch items does not change, so the height
+     * will be limited to be less than this space. If there are no other stretch items, the item will become fixed.
+     *
+     * @method _getResizedContentHeight
+     * @protected
+     * @param {Y.AccordionItem} item The resized item
+     * @param {Number} height The new height of the item
+     * @return {Object} The new value of item's <code>contentHeight</code> property
+     */
+    _getResizedContentHeight: function( item, height ){
+        var heightSettings, stretchItemsHeights, stretchTotal, otherHeight = 0, otherWeight = 0, other;
+
+        heightSettings = item.get( CONTENT_HEIGHT );
+
+        if( heightSettings.method === STRETCH ){
+            stretchItemsHeights = this._getStretchItemsHeights();
+
+            Y.Array.each( this.get( ITEMS ), function( otherItem, index, items ){
+                if( otherItem !== item && stretchItemsHeights.hasOwnProperty( otherItem ) ){
+                    otherHeight += stretchItemsHeights[ otherItem ];
+                    otherWeight += this._getStretchSetting( otherItem, "weight", 1 );
+                }
+            }, this );
+
+            stretchTotal = otherHeight + ( stretchItemsHeights[ item ] || 0 );
+
+            if( otherHeight > 0 && height > 0 ){
+                height = Math.min( height, stretchTotal - 1 );
+
+                other = Y.merge( heightSettings );
+                other.weight = height * otherWeight / ( stretchTotal - height );
+
+                return other;
+            }
+        }
+
+        return {
+            method: "fixed",
+            height: height
+        };
+    },
+
+
+    /**
+     * Returns the drag&drop groups of Accordion - its own group and <code>transferGroups</code>
+     *
+     * @method _getDragGroups
+     * @protected
+     * @return {Array} The names of the groups
+     */
+    _getDragGroups: function(){
+        return [ this._dragGroup ].concat( this.get( TRANSFER_GROUPS ) );
+    },
+
+
+    /**
+     * Makes Accordion's bounding box a drop target for items, dragged from other Accordions,
+     * so they can be dropped in its empty area. The method does nothing if there are no <code>transferGroups</code>.
+     *
+     * @method _initAccordionDrop
+     * @protected
+     */
+    _initAccordionDrop: function(){
+        var transferGroups = this.get( TRANSFER_GROUPS );
+
+        if( this._accordionDrop || !transferGroups.length ){
+            return;
+        }
+
+        this._accordionDrop = new Y.DD.Drop({
+            node: this.get( BOUNDING_BOX ),
+            groups: transferGroups
+        });
+    },
+
+
+    /**
+     * Make an item draggable. The item can be reordered later. If Accordion has <code>transferGroups</code>,
+     * the drag proxy will be not constrained to Accordion's bounding box, so the item can be dropped in another Accordion.
+     * 
+     * @method _initItemDragDrop
+     * @protected
+     * @param {Y.AccordionItem} item An <code>Y.AccordionItem</code> instance to be set as draggable
+     */
+    _initItemDragDrop: function( item ){
+        var itemHeader, dd, bb, itemBB, ddrop, groups;
+
+        if( this._itemsDragDrop[ item ] ){
+            return;
+        }
+
+        itemHeader = item.getStdModNode( WidgetStdMod.HEADER );
+        bb = this.get( BOUNDING_BOX );
+        itemBB = item.get( BOUNDING_BOX );
+        groups = this._getDragGroups();
+
+        dd = new Y.DD.Drag({
+            node: itemHeader,
+            groups: groups
+        }).plug(Y.Plugin.DDProxy, {
+            moveOnEnd: false
+        });
+
+        if( !this.get( TRANSFER_GROUPS ).length ){
+            dd.plug(Y.Plugin.DDConstrained, {
+                constrain2node: bb,
+                stickX: !this._isHorizontal(),
+                stickY: this._isHorizontal()
+            });
+        }
+
+        ddrop = new Y.DD.Drop({
+            node: itemBB,
+            groups: groups
         });
 
+        this._itemsDragDrop[ item ] = {
+            drag: dd,
+            drop: ddrop
+        };
+
         dd.on   ( "drag:start",   Y.bind( this._onDragStart,  this, dd ) );
         dd.on   ( "drag:end"  ,   Y.bind( this._onDragEnd,    this, dd ) );
         dd.after( "drag:end"  ,   Y.bind( this._afterDragEnd, this, dd ) );
         dd.on   ( "drag:drophit", Y.bind( this._onDropHit,    this, dd ) );
+        dd.on   ( "drag:over",    Y.bind( this._onDragOver,   this, dd ) );
+        dd.on   ( "drag:exit",    Y.bind( this._onDragExit,   this, dd ) );
+
+        this._syncItemDragDrop( item );
+    },
+
+
+    /**
+     * Locks the drag instance of an item if the item is hidden or disabled, or Accordion is disabled,
+     * and unlocks it otherwise
+     *
+     * @method _syncItemDragDrop
+     * @protected
+     * @param {Y.AccordionItem} item The item, which drag instance should be updated
+     */
+    _syncItemDragDrop: function( item ){
+        var itemDragDrop = this._itemsDragDrop[ item ];
+
+        if( itemDragDrop ){
+            itemDragDrop.drag.set( "lock", this._isItemDisabled( item ) || !item.get( VISIBLE ) );
+        }
     },
 
 
@@ -1071,14 +2512,167 @@ Y.extend( Accordion, Y.Widget, {
         dragNode = dd.get( "dragNode" );
 
         dragNode.addClass( C_PROXY_VISIBLE );
-        dragNode.set( "innerHTML", item.get( "label" ) );
+        item.renderLabel( dragNode );
 
         return this.fire( BEFOREITEMREORDER, { 'item': item } );
     },
 
 
     /**
-     * Restores HTML structure of the drag proxy.
+     * Determines the drop position and shows the drop marker there
+     *
+     * @method _onDragOver
+     * @protected
+     * @param {Y.DD.Drag} The drag instance of the item
+     * @param e {Event} the DD instance's drag:over custom event
+     */
+    _onDragOver: function( dd, e ){
+        var position = this._getDropPosition( dd, e.drop.get( NODE ) );
+
+        this._dropPosition = position;
+
+        if( position ){
+            this._showDropMarker( position );
+        } else {
+            this._hideDropMarker();
+        }
+    },
+
+
+    /**
+     * Hides the drop marker when the item is being dragged out of a drop target
+     *
+     * @method _onDragExit
+     * @protected
+     * @param {Y.DD.Drag} The drag instance of the item
+     * @param e {Event} the DD instance's drag:exit custom event
+     */
+    _onDragExit: function( dd, e ){
+        this._dropPosition = null;
+        this._hideDropMarker();
+    },
+
+
+    /**
+     * Returns the position, where the dragged item should be inserted. If the drop target is an item,
+     * the dragged item will be placed before it if the pointer is in the first half of its header, and after it otherwise.
+     * If the drop target is Accordion itself, the position will be determined by the pointer position
+     * against the items.
+     *
+     * @method _getDropPosition
+     * @protected
+     * @param {Y.DD.Drag} dd The drag instance of the item
+     * @param {Node} dropNode The node of the drop target
+     * @return {Object} Object literal with <code>accordion</code> - the target Accordion and
+     * <code>index</code> - the index for insertion in it, or null if the drop target is not valid
+     */
+    _getDropPosition: function( dd, dropNode ){
+        var targetAccordion, targetItem, xy, region, horizontal, middle, index;
+
+        targetAccordion = this._getDropAccordion( dropNode );
+
+        if( !targetAccordion ){
+            return null;
+        }
+
+        xy = dd.mouseXY;
+        targetItem = targetAccordion.getItem( dropNode );
+
+        if( targetItem && xy ){
+            region = targetItem.getStdModNode( WidgetStdMod.HEADER ).get( "region" );
+            horizontal = targetAccordion._isHorizontal();
+            middle = horizontal ? region.left + region.width / 2 : region.top + region.height / 2;
+            index = targetAccordion.getItemIndex( targetItem );
+
+            if( ( horizontal ? xy[ 0 ] : xy[ 1 ] ) >= middle ){
+                index++;
+            }
+        } else {
+            index = targetAccordion._getDropIndex( xy );
+        }
+
+        return {
+            'accordion': targetAccordion,
+            'index': index
+        };
+    },
+
+
+    /**
+     * Creates the drop marker, if it does not exist yet, and returns it
+     *
+     * @method _getDropMarker
+     * @protected
+     * @return {Node} The drop marker
+     */
+    _getDropMarker: function(){
+        if( !this._dropMarker ){
+            this._dropMarker = Node.create( '<div class="' + C_DROPMARKER + '"></div>' );
+            Y.get( "body" ).appendChild( this._dropMarker );
+        }
+
+        return this._dropMarker;
+    },
+
+
+    /**
+     * Shows the drop marker between the items of the target Accordion, at the position, where the dragged item
+     * will be inserted
+     *
+     * @method _showDropMarker
+     * @protected
+     * @param {Object} position The drop position, as returned by <code>_getDropPosition</code>
+     */
+    _showDropMarker: function( position ){
+        var marker, targetAccordion, items, length, horizontal, region, edge;
+
+        marker = this._getDropMarker();
+        targetAccordion = position.accordion;
+        items = targetAccordion.get( ITEMS );
+        length = items.length;
+        horizontal = targetAccordion._isHorizontal();
+
+        if( !length ){
+            region = targetAccordion.get( CONTENT_BOX ).get( "region" );
+            edge = horizontal ? region.left : region.top;
+        } else if( position.index < length ){
+            region = items[ position.index ].get( BOUNDING_BOX ).get( "region" );
+            edge = horizontal ? region.left : region.top;
+        } else {
+            region = items[ length - 1 ].get( BOUNDING_BOX ).get( "region" );
+            edge = horizontal ? region.right : region.bottom;
+        }
+
+        if( horizontal ){
+            marker.addClass( C_DROPMARKER_HORIZONTAL );
+            marker.setStyle( WIDTH, "" );
+            marker.setStyle( HEIGHT, region.height + PX );
+        } else {
+            marker.removeClass( C_DROPMARKER_HORIZONTAL );
+            marker.setStyle( HEIGHT, "" );
+            marker.setStyle( WIDTH, region.width + PX );
+        }
+
+        marker.addClass( C_DROPMARKER_VISIBLE );
+        marker.setXY( horizontal ? [ edge, region.top ] : [ region.left, edge ] );
+    },
+
+
+    /**
+     * Hides the drop marker
+     *
+     * @method _hideDropMarker
+     * @protected
+     */
+    _hideDropMarker: function(){
+        if( this._dropMarker ){
+            this._dropMarker.removeClass( C_DROPMARKER_VISIBLE );
+        }
+    },
+
+
+    /**
+     * Restores HTML structure of the drag proxy and hides the drop marker.
      * Fires beforeEndItemReorder event - returning false will cancel reordering
      *
      * @method _onDragEnd
@@ -1094,6 +2688,9 @@ Y.extend( Accordion, Y.Widget, {
         dragNode.removeClass( C_PROXY_VISIBLE );
         dragNode.set( "innerHTML", "" );
 
+        this._dropPosition = null;
+        this._hideDropMarker();
+
         item = this.getItem( dd.get( NODE ).get( PARENT_NODE ) );
         return this.fire( BEFOREENDITEMREORDER, { 'item': item } );
     },
@@ -1127,7 +2724,8 @@ Y.extend( Accordion, Y.Widget, {
 
 
     /**
-     * Moves the source item before or after target item.
+     * Moves the source item to the drop position, shown by the drop marker. If the target belongs to another Accordion,
+     * the item will be transferred there, after the end of the drag.
      *
      * @method _onDropHit
      * @protected
@@ -1135,38 +2733,29 @@ Y.extend( Accordion, Y.Widget, {
      * @param e {Event} the DD instance's drag:drophit custom event
      */
     _onDropHit: function( dd, e) {
-        var mineIndex, targetItemIndex, targetItemBB, itemBB, cb,
-            goingUp, items, targetItem, item;
+        var item, position, index;
 
         item = this.getItem( dd.get( NODE ).get( PARENT_NODE ) );
-        targetItem = this.getItem( e.drop.get( NODE ) );
+        position = this._dropPosition || this._getDropPosition( dd, e.drop.get( NODE ) );
 
-        if( targetItem === item ){
+        if( !position ){
             return false;
         }
 
-        mineIndex = this.getItemIndex( item );
-        targetItemIndex = this.getItemIndex( targetItem );
-        targetItemBB = targetItem.get( BOUNDING_BOX );
-        itemBB = item.get( BOUNDING_BOX );
-        cb = this.get( CONTENT_BOX );
-        goingUp = false;
-        items = this.get( ITEMS );
+        index = position.index;
+
+        if( position.accordion !== this ){
+            Y.later( 0, this, this.transferItem, [ item, position.accordion, index ] );
 
-        if( targetItemIndex < mineIndex ){
-            goingUp = true;
+            return true;
         }
 
-        cb.removeChild( itemBB );
+        if( index > this.getItemIndex( item ) ){
+            index--;
+        }
 
-        if( goingUp ){
-            cb. insertBefore( itemBB, targetItemBB );
-            items.splice( mineIndex, 1 );
-            items.splice( targetItemIndex, 0, item );
-        } else {
-            cb. insertBefore( itemBB, targetItemBB.next( C_ITEM ) );
-            items.splice( targetItemIndex + 1, 0, item );
-            items.splice( mineIndex, 1 );
+        if( !this._reorderItem( item, index ) ){
+            return false;
         }
 
         dd.set( DATA, {
@@ -1178,55 +2767,379 @@ Y.extend( Accordion, Y.Widget, {
 
     
     /**
-     * Process items as result of user interaction or properties change.
-     * This includes four steps:
-     * 1. Update the properties of the items
-     * 2. Collapse all items stored in the list for collapsing
-     * 3. Adjust all stretch items
-     * 4. Expand items stored in the list for expanding
-     * 
-     * @method _processItems
+     * Returns the Accordion, to which a drop target belongs. The drop target might be the bounding box
+     * of an Accordion or the bounding box of one of its items.
+     *
+     * @method _getDropAccordion
      * @protected
+     * @param {Node} dropNode The node of the drop target
+     * @return {Y.Accordion} The found Accordion or null if there is no such or it is disabled
      */
-    _processItems: function(){
-        var forCollapsing, forExpanding, itemCont, heightPerStretchItem, 
-            height, heightSettings, item;
+    _getDropAccordion: function( dropNode ){
+        var widget = Y.Widget.getByNode( dropNode );
 
-        forCollapsing = this._forCollapsing;
-        forExpanding = this._forExpanding;
+        if( widget instanceof Y.AccordionItem ){
+            widget = Y.Widget.getByNode( widget.get( BOUNDING_BOX ).get( PARENT_NODE ) );
+        }
 
-        this._setItemsProperties();
+        return ( widget instanceof Accordion && !widget.get( DISABLED ) ) ? widget : null;
+    },
 
-        for( item in forCollapsing ){
-            if( forCollapsing.hasOwnProperty( item ) ){
-                itemCont = forCollapsing[ item ];
 
-                this._collapseItem( itemCont.item );
-            }
+    /**
+     * Returns the index, at which an item, dropped at given position, should be inserted.
+     * The item will be placed before the first visible item, which middle is after the position.
+     *
+     * @method _getDropIndex
+     * @protected
+     * @param {Array} xy The page coordinates of the drop position
+     * @return {Number} The index for insertion
+     */
+    _getDropIndex: function( xy ){
+        var items, horizontal, index;
+
+        items = this.get( ITEMS );
+        horizontal = this._isHorizontal();
+        index = items.length;
+
+        if( !xy ){
+            return index;
         }
 
-        heightPerStretchItem = this._adjustStretchItems();
+        Y.Array.some( items, function( item, i, items ){
+            var region, middle;
 
-        for( item in forExpanding ){
-            if( forExpanding.hasOwnProperty( item ) ){
-                itemCont = forExpanding[ item ];
-                item = itemCont.item;
-                height = heightPerStretchItem;
+            if( !item.get( VISIBLE ) ){
+                return false;
+            }
+
+            region = item.get( BOUNDING_BOX ).get( "region" );
+            middle = horizontal ? region.left + region.width / 2 : region.top + region.height / 2;
+
+            if( ( horizontal ? xy[ 0 ] : xy[ 1 ] ) < middle ){
+                index = i;
+                return true;
+            }
+
+            return false;
+        }, this );
+
+        return index;
+    },
+
+
+    /**
+     * Moves an item to a new position in <code>items</code> array and moves its bounding box accordingly.
+     *
+     * @method _reorderItem
+     * @protected
+     * @param {Y.AccordionItem} item The item to be moved
+     * @param {Number} newIndex The new index of the item
+     * @return Boolean True if the item has been moved, false if it is already at this position
+     */
+    _reorderItem: function( item, newIndex ){
+        var items, index, nextItem;
+
+        items = this.get( ITEMS );
+        index = this.getItemIndex( item );
+
+        if( index === newIndex ){
+            return false;
+        }
+
+        items.splice( index, 1 );
+        items.splice( newIndex, 0, item );
+
+        nextItem = items[ newIndex + 1 ];
+
+        this.get( CONTENT_BOX ).insertBefore( item.get( BOUNDING_BOX ),
+            nextItem ? nextItem.get( BOUNDING_BOX ) : null );
+
+        return true;
+    },
+
+    
+    /**
+     * If <code>maxExpanded</code> is set and the items, which will be expanded after processing the lists,
+     * exceed the limit, stores the least recently expanded ones in the list for collapsing.
+     * The items, set as always visible, and the items, which are going to be expanded, will be not collapsed.
+     * Hidden items are neither counted, nor collapsed.
+     *
+     * @method _storeItemsOverLimit
+     * @protected
+     */
+    _storeItemsOverLimit: function(){
+        var maxExpanded, expanded = [], candidates = [], forCollapsing, forExpanding, overLimit;
+
+        maxExpanded = this.get( MAX_EXPANDED );
+
+        if( !maxExpanded ){
+            return;
+        }
+
+        forCollapsing = this._forCollapsing;
+        forExpanding = this._forExpanding;
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, items ){
+            if( !item.get( VISIBLE ) ){
+                return;
+            }
+
+            if( forExpanding[ item ] || ( item.get( EXPANDED ) && !forCollapsing[ item ] ) ){
+                expanded.push( item );
+
+                if( !forExpanding[ item ] && !item.get( ALWAYSVISIBLE ) && !item.get( DISABLED ) ){
+                    candidates.push( item );
+                }
+            }
+        }, this );
+
+        overLimit = expanded.length - maxExpanded;
+
+        if( overLimit <= 0 ){
+            return;
+        }
+
+        candidates.sort( Y.bind( function( item1, item2 ){
+            return ( this._expansionOrder[ item1 ] || 0 ) - ( this._expansionOrder[ item2 ] || 0 );
+        }, this ) );
+
+        Y.Array.each( candidates.slice( 0, overLimit ), function( item, index, items ){
+            forCollapsing[ item ] = {
+                'item': item,
+                'implicit': true
+            };
+        }, this );
+    },
+
+
+    /**
+     * If <code>requireExpanded</code> is set and collapsing of the items, stored in the list for collapsing,
+     * would leave less expanded items than required, removes the explicitly collapsed items from the list,
+     * restores their state and fires itemCollapseBlocked event for each of them.
+     * Hidden items are not counted and collapsing of them is never blocked.
+     *
+     * @method _removeBlockedItems
+     * @protected
+     */
+    _removeBlockedItems: function(){
+        var requireExpanded, expandedCount = 0, forCollapsing, forExpanding, itemKey, itemData, item;
+
+        requireExpanded = this.get( REQUIRE_EXPANDED );
+
+        if( !requireExpanded ){
+            return;
+        }
+
+        forCollapsing = this._forCollapsing;
+        forExpanding = this._forExpanding;
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, items ){
+            if( item.get( VISIBLE ) && ( forExpanding[ item ] || ( item.isMarkedAsExpanded() && !forCollapsing[ item ] ) ) ){
+                expandedCount++;
+            }
+        }, this );
+
+        for( itemKey in forCollapsing ){
+            if( expandedCount >= requireExpanded ){
+                break;
+            }
+
+            if( forCollapsing.hasOwnProperty( itemKey ) ){
+                itemData = forCollapsing[ itemKey ];
+                item = itemData.item;
+
+                if( !itemData.implicit && item.get( VISIBLE ) && item.isMarkedAsExpanded() ){
+                    delete forCollapsing[ itemKey ];
+                    this._restoreItemState( item, true );
+                    expandedCount++;
+
+                    this.fire( ITEMCOLLAPSEBLOCKED, {
+                        'item': item
+                    });
+                }
+            }
+        }
+    },
+
+    
+    /**
+     * Process items as result of user interaction or properties change.
+     * This includes seven steps:
+     * 0. If the number of expanded items is limited, store the least recently expanded items for collapsing
+     * 1. If a minimal number of expanded items is required, remove the blocked items from the list for collapsing
+     * 2. Fire before events and remove vetoed items from the lists
+     * 3. Update the properties of the items
+     * 4. Collapse all items stored in the list for collapsing
+     * 5. Adjust all stretch items
+     * 6. Expand items stored in the list for expanding
+     * 
+     * @method _processItems
+     * @protected
+     * @param {Boolean} forceSkipAnimation (optional) If true, the animation will be skipped,
+     * without taking in consideration Accordion's <code>useAnimation</code> setting
+     */
+    _processItems: function( forceSkipAnimation ){
+        var forCollapsing, forExpanding, itemCont, stretchItemsHeights, 
+            height, heightSettings, item;
+
+        this._storeItemsOverLimit();
+        this._removeBlockedItems();
+
+        this._removeVetoedItems();
+
+        forCollapsing = this._forCollapsing;
+        forExpanding = this._forExpanding;
+
+        for( item in forExpanding ){
+            if( forExpanding.hasOwnProperty( item ) && !forExpanding[ item ].item.isMarkedAsExpanded() ){
+                this._expansionOrder[ item ] = ++this._expansionCounter;
+            }
+        }
+
+        this._setItemsProperties();
+
+        for( item in forCollapsing ){
+            if( forCollapsing.hasOwnProperty( item ) ){
+                itemCont = forCollapsing[ item ];
+
+                this._collapseItem( itemCont.item, forceSkipAnimation );
+            }
+        }
+
+        stretchItemsHeights = this._adjustStretchItems( forceSkipAnimation );
+
+        for( item in forExpanding ){
+            if( forExpanding.hasOwnProperty( item ) ){
+                itemCont = forExpanding[ item ];
+                item = itemCont.item;
+                height = stretchItemsHeights[ item ] || 0;
                 heightSettings = item.get( CONTENT_HEIGHT );
 
+                this._loadItemContent( item );
+
                 if( heightSettings.method !== STRETCH ){
                     height = this._getItemContentHeight( item );
                 }
 
-                this._expandItem( item, height );
+                this._expandItem( item, height, forceSkipAnimation );
             }
         }
 
         this._forCollapsing = {};
         this._forExpanding = {};
+
+        this._savePersistedState();
     },
 
     
+    /**
+     * Fires beforeItemExpand and beforeItemCollapse events for the items, stored in the lists for expanding
+     * or collapsing, which are going to change their state. The items, for which the event has been cancelled,
+     * will be removed from the lists and their state will be restored. If all items for expanding have been
+     * vetoed, the implicit items for collapsing will stay expanded. The items marked as approved are skipped,
+     * because the events have been already fired before changing their <code>expanded</code> property.
+     *
+     * @method _removeVetoedItems
+     * @protected
+     */
+    _removeVetoedItems: function(){
+        var forCollapsing, forExpanding, itemKey, itemData, item,
+            expandingVetoed = false, expandingLeft = false;
+
+        forCollapsing = this._forCollapsing;
+        forExpanding = this._forExpanding;
+
+        for( itemKey in forExpanding ){
+            if( forExpanding.hasOwnProperty( itemKey ) ){
+                item = forExpanding[ itemKey ].item;
+
+                if( !item.isMarkedAsExpanded() && !forExpanding[ itemKey ].approved &&
+                        !this.fire( BEFOREITEMEXPAND, { 'item': item } ) ){
+                    delete forExpanding[ itemKey ];
+                    this._restoreItemState( item, false );
+                    expandingVetoed = true;
+                } else {
+                    expandingLeft = true;
+                }
+            }
+        }
+
+        for( itemKey in forCollapsing ){
+            if( forCollapsing.hasOwnProperty( itemKey ) ){
+                itemData = forCollapsing[ itemKey ];
+                item = itemData.item;
+
+                if( itemData.implicit && expandingVetoed && !expandingLeft ){
+                    delete forCollapsing[ itemKey ];
+                } else if( item.isMarkedAsExpanded() && !itemData.approved &&
+                        !this.fire( BEFOREITEMCOLLAPSE, { 'item': item } ) ){
+                    delete forCollapsing[ itemKey ];
+                    this._restoreItemState( item, true );
+                }
+            }
+        }
+    },
+
+
+    /**
+     * Restores the properties and user interface of an item, which expanding or collapsing has been cancelled
+     *
+     * @method _restoreItemState
+     * @protected
+     * @param {Y.AccordionItem} item The item which state should be restored
+     * @param {Boolean} expanded The expanded state to be restored
+     */
+    _restoreItemState: function( item, expanded ){
+        var alwaysVisible = expanded ? item.get( ALWAYSVISIBLE ) : false;
+
+        this._setItemProperties( item, expanded, alwaysVisible );
+        this._setItemUI( item, expanded, alwaysVisible );
+    },
+
+
+    /**
+     * Starts loading of item's content, if it has content source and the content has been not loaded yet
+     *
+     * @method _loadItemContent
+     * @protected
+     * @param {Y.AccordionItem} item The item which content should be loaded
+     */
+    _loadItemContent: function( item ){
+        if( item.get( CONTENT_SOURCE ) && item.get( CONTENT_STATE ) === STATE_NONE ){
+            item.loadContent();
+        }
+    },
+
+
+    /**
+     * Expands an item, which content has been loaded or failed to load, to its new height.
+     * Fires itemContentError event if loading has failed.
+     *
+     * @method _afterItemContentState
+     * @protected
+     * @param {EventFacade} params The event facade for the attribute change
+     */
+    _afterItemContentState: function( params ){
+        var item, state;
+
+        item = params.currentTarget;
+        state = params.newVal;
+
+        if( state === STATE_ERROR ){
+            this.fire( ITEMCONTENTERROR, {
+                'item': item,
+                'error': item.get( "contentError" )
+            });
+        }
+
+        if( (state === STATE_LOADED || state === STATE_ERROR) && item.isMarkedAsExpanded() ){
+            this._adjustStretchItems();
+            this._syncItemHeight( item );
+        }
+    },
+
+
     /**
      * Update properties of items, which were stored in the lists for collapsing or expanding
      * 
@@ -1256,7 +3169,72 @@ Y.extend( Accordion, Y.Widget, {
 
 
     /**
-     * Handles the change of "expand" property of given item
+     * Fires beforeItemExpand or beforeItemCollapse event before changing "expanded" property of given item.
+     * If the event has been cancelled, the change will be prevented, so the listeners of expandedChange
+     * after event will not be notified about a change, which does not happen.
+     * Collapsing, which would leave less expanded items than <code>requireExpanded</code>, will be prevented
+     * before firing beforeItemCollapse and itemCollapseBlocked event will be fired instead.
+     *
+     * @method _onItemExpand
+     * @protected
+     * @param {EventFacade} params The event facade for the attribute change
+     */
+    _onItemExpand: function( params ){
+        var item;
+
+        if( params.internalCall || params.newVal === params.prevVal ){
+            return;
+        }
+
+        item = params.currentTarget;
+
+        if( !params.newVal && this._isCollapseBlocked( item ) ){
+            params.preventDefault();
+
+            this.fire( ITEMCOLLAPSEBLOCKED, {
+                'item': item
+            });
+
+            return;
+        }
+
+        if( !this.fire( params.newVal ? BEFOREITEMEXPAND : BEFOREITEMCOLLAPSE, { 'item': item } ) ){
+            params.preventDefault();
+        }
+    },
+
+
+    /**
+     * Checks if collapsing of an item would leave less visible expanded items than <code>requireExpanded</code>.
+     * Hidden items are not counted and collapsing of them is never blocked.
+     *
+     * @method _isCollapseBlocked
+     * @protected
+     * @param {Y.AccordionItem} item The item to be collapsed
+     * @return {Boolean} True if the item must stay expanded, false otherwise
+     */
+    _isCollapseBlocked: function( item ){
+        var requireExpanded, expandedCount = 0;
+
+        requireExpanded = this.get( REQUIRE_EXPANDED );
+
+        if( !requireExpanded || !item.get( VISIBLE ) ){
+            return false;
+        }
+
+        Y.Array.each( this.get( ITEMS ), function( otherItem, index, items ){
+            if( otherItem !== item && otherItem.get( VISIBLE ) && otherItem.get( EXPANDED ) ){
+                expandedCount++;
+            }
+        }, this );
+
+        return expandedCount < requireExpanded;
+    },
+
+
+    /**
+     * Handles the change of "expand" property of given item. The before events have been already fired
+     * by <code>_onItemExpand</code>, so the item will be marked as approved.
      * 
      * @method _afterItemExpand
      * @protected
@@ -1277,7 +3255,8 @@ Y.extend( Accordion, Y.Widget, {
         if( expanded ){
             this._forExpanding[ item ] = {
                 'item': item,
-                'alwaysVisible': alwaysVisible
+                'alwaysVisible': alwaysVisible,
+                'approved': true
             };
             
             if( collapseOthersOnExpand ){
@@ -1285,7 +3264,8 @@ Y.extend( Accordion, Y.Widget, {
             }
         } else {
             this._forCollapsing[ item ] = {
-                'item': item
+                'item': item,
+                'approved': true
             };
         }
         
@@ -1314,6 +3294,7 @@ Y.extend( Accordion, Y.Widget, {
             if( expanded ){
                 this._setItemProperties( item, true, true );
                 this._setItemUI( item, true, true );
+                this._savePersistedState();
                 return;
             } else {
                 this._forExpanding[ item ] = {
@@ -1326,10 +3307,10 @@ Y.extend( Accordion, Y.Widget, {
         } else {
             if( expanded ){
                 this._setItemUI( item, true, false );
-                return;
-            } else {
-                return;
             }
+
+            this._savePersistedState();
+            return;
         }
         
         this._processItems();
@@ -1344,24 +3325,39 @@ Y.extend( Accordion, Y.Widget, {
      * @param {EventFacade} params The event facade for the attribute change
      */
     _afterContentHeight: function( params ){
-        var item, itemContentHeight, body, bodyHeight, expanded;
+        var item;
         
         item = params.currentTarget;
         
         this._adjustStretchItems();
         
         if( params.newVal.method !== STRETCH ){
-            expanded = item.get( EXPANDED );
-            itemContentHeight = this._getItemContentHeight( item );
-            
-            body = item.getStdModNode( WidgetStdMod.BODY );
-            bodyHeight = this._getNodeOffsetHeight( body );
-            
-            if( itemContentHeight < bodyHeight ){
-                this._processCollapsing( item, itemContentHeight, !expanded );
-            } else if( itemContentHeight > bodyHeight ){
-                this._processExpanding( item, itemContentHeight, !expanded );
-            }
+            this._syncItemHeight( item, !item.get( EXPANDED ) );
+        }
+    },
+
+
+    /**
+     * Expands or collapses item's body to the height, calculated depending on its <code>contentHeight</code> property
+     *
+     * @method _syncItemHeight
+     * @protected
+     * @param {Y.AccordionItem} item The item which height should be synchronized
+     * @param {Boolean} forceSkipAnimation (optional) If true, the animation will be skipped,
+     * without taking in consideration Accordion's <code>useAnimation</code> setting
+     */
+    _syncItemHeight: function( item, forceSkipAnimation ){
+        var itemContentHeight, body, bodyHeight;
+
+        itemContentHeight = this._getItemContentHeight( item );
+
+        body = item.getStdModNode( WidgetStdMod.BODY );
+        bodyHeight = this._getNodeOffsetSize( body );
+
+        if( itemContentHeight < bodyHeight ){
+            this._processCollapsing( item, itemContentHeight, forceSkipAnimation );
+        } else if( itemContentHeight > bodyHeight ){
+            this._processExpanding( item, itemContentHeight, forceSkipAnimation );
         }
     },
     
@@ -1388,77 +3384,1000 @@ Y.extend( Accordion, Y.Widget, {
         }
 
         if( value === DEFAULT ){
-            this._resizeEventHandle = Y.on( 'windowresize', Y.bind( this._adjustStretchItems, this ) );
+            this._resizeEventHandle = Y.on( 'windowresize', Y.bind( this._onResize, this ) );
         } else {
-            this._resizeEventHandle = value.sourceObject.on( value.resizeEvent, Y.bind( this._adjustStretchItems, this ) );
+            this._resizeEventHandle = value.sourceObject.on( value.resizeEvent, Y.bind( this._onResize, this ) );
         }
     },
 
+
+    /**
+     * Adjusts stretch items as result of resizing
+     *
+     * @method _onResize
+     * @protected
+     * @param e {Event} The resize event
+     */
+    _onResize: function( e ){
+        this._adjustStretchItems();
+    },
+
     
     /**
-     * Creates one or more items found in Accordion's <code>contentBox</code>
+     * Updates aria-multiselectable state of Accordion's <code>contentBox</code>
+     *
+     * @method _afterCollapseOthersOnExpandChange
+     * @protected
+     * @param params {Event} after collapseOthersOnExpandChange custom event
+     */
+    _afterCollapseOthersOnExpandChange: function( params ){
+        this.get( CONTENT_BOX ).setAttribute( ARIA_MULTISELECTABLE, String( !params.newVal ) );
+    },
+
+
+    /**
+     * Sets orientation and WAI-ARIA role of Accordion's <code>contentBox</code> and creates one or more items found in it.
+     * If <code>persistence</code> has been set, the stored order of the items will be restored before adding them.
      * 
      * @method renderUI
      * @protected
      */
     renderUI: function(){
-        var cb, itemsDom;
+        var cb, itemsDom, newItems;
 
         cb = this.get( CONTENT_BOX );
+
+        if( this._isHorizontal() ){
+            this.get( BOUNDING_BOX ).addClass( C_HORIZONTAL );
+        }
+
+        cb.setAttribute( ROLE, "tablist" );
+        cb.setAttribute( ARIA_MULTISELECTABLE, String( !this.get( COLLAPSEOTHERSONEXPAND ) ) );
+        cb.setAttribute( ARIA_ORIENTATION, this.get( ORIENTATION ) );
+        cb.setAttribute( ARIA_DISABLED, String( this.get( DISABLED ) ) );
         itemsDom = cb.queryAll( "> div." + C_ITEM );
+        newItems = [];
 
         itemsDom.each( function( itemNode, index, itemsDom ){
-            var newItem;
-
             if( !this.getItem( itemNode ) ){
-                newItem = new Y.AccordionItem({
+                newItems.push( new Y.AccordionItem({
                     contentBox: itemNode
-                });
-
-                this.addItem( newItem );
+                }) );
             }
         }, this );
+
+        Y.Array.each( this._itemsConfig, function( itemConfig, index, itemsConfig ){
+            newItems.push( this._createItem( itemConfig ) );
+        }, this );
+
+        this._itemsConfig = [];
+
+        this._persistedState = this._readPersistedState();
+
+        newItems = this._restoreItemsOrder( newItems );
+
+        this._restoringPersistedState = true;
+
+        try {
+            Y.Array.each( newItems, function( item, index, items ){
+                this.addItem( item );
+            }, this );
+        } finally {
+            this._restoringPersistedState = false;
+        }
+    },
+
+
+    /**
+     * Creates an item from configuration object. If the easing of the animation is a string,
+     * it will be resolved to the function with the same name in Y.Easing.
+     *
+     * @method _createItem
+     * @protected
+     * @param {Object|Y.AccordionItem} config The configuration of the item. If it is already an item, it will be returned
+     * @return {Y.AccordionItem} The created item
+     */
+    _createItem: function( config ){
+        var animation;
+
+        if( config instanceof Y.AccordionItem ){
+            return config;
+        }
+
+        config = Y.merge( config );
+        animation = config.animation;
+
+        if( animation && Lang.isString( animation.easing ) ){
+            config.animation = Y.merge( animation, {
+                easing: Easing[ animation.easing ]
+            });
+        }
+
+        return new Y.AccordionItem( config );
+    },
+
+
+    /**
+     * Returns the configuration of Accordion's items, which can be serialized to JSON and
+     * passed later to <code>Accordion.fromJSON</code>
+     *
+     * @method toJSON
+     * @return {Object} Object literal with <code>items</code> property, which contains the result of
+     * <code>toJSON</code> method of each item, in the current order
+     */
+    toJSON: function(){
+        var items = [];
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, allItems ){
+            items.push( item.toJSON() );
+        }, this );
+
+        return {
+            'items': items
+        };
+    },
+
+
+    /**
+     * Returns the storage adapter, specified in <code>persistence</code> attribute
+     *
+     * @method _getStorage
+     * @protected
+     * @return {Object} The storage adapter or null if there is no such
+     */
+    _getStorage: function(){
+        var persistence, storage;
+
+        persistence = this.get( PERSISTENCE );
+
+        if( !persistence ){
+            return null;
+        }
+
+        storage = persistence.storage || "cookie";
+
+        if( Lang.isString( storage ) ){
+            storage = Accordion.STORAGE_ADAPTERS[ storage ];
+        }
+
+        return ( storage && Lang.isFunction( storage.read ) && Lang.isFunction( storage.write ) ) ? storage : null;
+    },
+
+
+    /**
+     * Reads and parses the state, stored in the storage of <code>persistence</code>
+     *
+     * @method _readPersistedState
+     * @protected
+     * @return {Object} The stored state or null if there is no such or it is not valid
+     */
+    _readPersistedState: function(){
+        var storage, value, state = null;
+
+        storage = this._getStorage();
+
+        if( !storage ){
+            return null;
+        }
+
+        try {
+            value = storage.read( this.get( PERSISTENCE ).key );
+        } catch( e ){
+            // SecurityError if localStorage is disabled - there is no saved state then
+            value = null;
+        }
+
+        if( value ){
+            try {
+                state = Y.JSON.parse( value );
+            } catch( e ){
+                state = null;
+            }
+        }
+
+        if( !state || !Lang.isArray( state.order ) || !Lang.isObject( state.items ) ){
+            return null;
+        }
+
+        return state;
+    },
+
+
+    /**
+     * Stores the order of the items and their expanded and always visible state. The state of the items, which are
+     * not currently registered, will be kept. The method does nothing if Accordion is not rendered yet or
+     * <code>persistence</code> has been not set.
+     *
+     * @method _savePersistedState
+     * @protected
+     */
+    _savePersistedState: function(){
+        var storage, state, order, items;
+
+        storage = this._getStorage();
+
+        if( !storage || !this.get( RENDERED ) ){
+            return;
+        }
+
+        state = this._persistedState;
+        order = [];
+        items = state ? Y.merge( state.items ) : {};
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, allItems ){
+            var key = item.get( KEY );
+
+            if( Lang.isString( key ) ){
+                order.push( key );
+
+                items[ key ] = {
+                    'expanded': item.get( EXPANDED ),
+                    'alwaysVisible': item.get( ALWAYSVISIBLE )
+                };
+            }
+        }, this );
+
+        this._persistedState = {
+            'order': order,
+            'items': items
+        };
+
+        try {
+            storage.write( this.get( PERSISTENCE ).key, Y.JSON.stringify( this._persistedState ) );
+        } catch( e ){
+            // SecurityError or QuotaExceededError - the error is ignored on purpose, the state just stays unsaved
+            // and Accordion keeps working
+        }
+    },
+
+
+    /**
+     * Sorts the items, which have stored position, in the stored order and moves their content boxes accordingly.
+     * The items without stored position will keep their places.
+     *
+     * @method _restoreItemsOrder
+     * @protected
+     * @param {Array} items The items, which are going to be added in Accordion
+     * @return {Array} The sorted items
+     */
+    _restoreItemsOrder: function( items ){
+        var state, order, sorted, result, cb, positions = {};
+
+        state = this._persistedState;
+
+        if( !state ){
+            return items;
+        }
+
+        order = state.order;
+        sorted = [];
+
+        Y.Array.each( items, function( item, index, items ){
+            var key, position;
+
+            key = item.get( KEY );
+            position = Lang.isString( key ) ? Y.Array.indexOf( order, key ) : -1;
+
+            if( position >= 0 ){
+                positions[ item ] = position;
+                sorted.push( item );
+            }
+        }, this );
+
+        sorted.sort( function( item1, item2 ){
+            return positions[ item1 ] - positions[ item2 ];
+        });
+
+        result = [];
+
+        Y.Array.each( items, function( item, index, items ){
+            result.push( positions.hasOwnProperty( item ) ? sorted.shift() : item );
+        }, this );
+
+        items = result;
+
+        cb = this.get( CONTENT_BOX );
+
+        Y.Array.each( items, function( item, index, items ){
+            cb.appendChild( item.get( CONTENT_BOX ) );
+        }, this );
+
+        return items;
+    },
+
+
+    /**
+     * Sets the stored expanded and always visible state to an item, which is going to be added in Accordion.
+     * The state is restored only to the items, added during the initial render. Items, added later, keep their own state.
+     *
+     * @method _restorePersistedItemState
+     * @protected
+     * @param {Y.AccordionItem} item The item, which state should be restored
+     */
+    _restorePersistedItemState: function( item ){
+        var key, itemState;
+
+        key = item.get( KEY );
+
+        if( !this._restoringPersistedState || !this._persistedState || !Lang.isString( key ) ){
+            return;
+        }
+
+        itemState = this._persistedState.items[ key ];
+
+        if( itemState ){
+            item.set( ALWAYSVISIBLE, itemState.alwaysVisible === true, {
+                internalCall: true
+            });
+
+            item.set( EXPANDED, itemState.expanded === true || itemState.alwaysVisible === true, {
+                internalCall: true
+            });
+        }
+    },
+
+    
+    /**
+     * Add listeners to <code>itemChosen</code>, keydown and touch events in Accordion's content box
+     * 
+     * @method bindUI
+     * @protected
+     */
+    bindUI: function(){
+        var contentBox, itemChosenEvent;
+
+        contentBox = this.get( CONTENT_BOX );
+        itemChosenEvent = this.get( 'itemChosen' );
+        
+        contentBox.delegate( itemChosenEvent, Y.bind( this._onItemChosenEvent, this ), HEADER_SELECTOR );
+        contentBox.delegate( "keydown", Y.bind( this._onItemKeyDown, this ), HEADER_SELECTOR );
+
+        this._touchHandles = [
+            this._delegateHeaderTouchEvent( "touchstart", this._onHeaderTouchStart ),
+            this._delegateHeaderTouchEvent( "touchmove", this._onHeaderTouchMove ),
+            this._delegateHeaderTouchEvent( "touchend", this._onHeaderTouchEnd ),
+            this._delegateHeaderTouchEvent( "touchcancel", this._endTouch )
+        ];
+
+        if( this.get( REORDER_ITEMS ) ){
+            this._initAccordionDrop();
+        }
+    },
+
+
+    /**
+     * Subscribes for a touch event in Accordion's content box and invokes the handler when the event
+     * has been fired in an item's header. Touch events are not in <code>Y.Node.DOM_EVENTS</code>, so they can
+     * not be delegated by Node. They are attached by <code>Y.Event.attach</code> instead, without changing
+     * that list, which is shared by the whole YUI instance.
+     *
+     * @method _delegateHeaderTouchEvent
+     * @protected
+     * @param type {String} The type of the touch event
+     * @param fn {Function} The handler. It will be invoked in the context of Accordion with the event,
+     * which <code>currentTarget</code> is the header
+     * @return {EventHandle} The handle of the subscription
+     */
+    _delegateHeaderTouchEvent: function( type, fn ){
+        var contentBox = this.get( CONTENT_BOX );
+
+        return Y.Event.attach( type, function( e ){
+            var node = e.target;
+
+            while( node && !node.compareTo( contentBox ) ){
+                if( Y.Selector.test( Node.getDOMNode( node ), HEADER_SELECTOR ) ){
+                    e.currentTarget = node;
+                    fn.call( this, e );
+                    return;
+                }
+
+                node = node.get( PARENT_NODE );
+            }
+        }, contentBox, this );
+    },
+
+
+    /**
+     * Listening for itemChosen event, determines the item and invokes this._chooseItem for further processing
+     *
+     * @method _onItemChosenEvent
+     * @protected
+     * 
+     * @param e {Event} The itemChosen event
+     */
+    _onItemChosenEvent: function(e){
+        var header, itemNode, item;
+
+        header = e.currentTarget;
+        itemNode = header.get( PARENT_NODE );
+        item = this.getItem( itemNode );
+
+        // the header might belong to an item of nested Accordion
+        if( !item ){
+            return;
+        }
+
+        this._chooseItem( item, e.target );
+    },
+
+
+    /**
+     * Returns the page coordinates of the first changed touch point of a touch event
+     *
+     * @method _getTouchXY
+     * @protected
+     * @param e {Event} The touch event
+     * @return {Array} The page coordinates or null if there are no touch points
+     */
+    _getTouchXY: function( e ){
+        var touches = e._event.changedTouches;
+
+        if( !touches || !touches.length ){
+            return null;
+        }
+
+        return [ touches[ 0 ].pageX, touches[ 0 ].pageY ];
+    },
+
+
+    /**
+     * Starts tracking of a touch gesture on item's header. The drag instance of the item will be locked
+     * during the gesture, so it does not interfere with tapping and scrolling the page.
+     * If the touch is held still for a while, reordering of the item will be started.
+     *
+     * @method _onHeaderTouchStart
+     * @protected
+     * @param e {Event} The touchstart event
+     */
+    _onHeaderTouchStart: function( e ){
+        var item, xy, itemDragDrop, touches;
+
+        this._endTouch();
+
+        touches = e._event.touches;
+
+        if( touches && touches.length > 1 ){
+            return;
+        }
+
+        item = this.getItem( e.currentTarget.get( PARENT_NODE ) );
+        xy = this._getTouchXY( e );
+
+        // the header might belong to an item of nested Accordion
+        if( !item || !xy || this._isItemDisabled( item ) ){
+            return;
+        }
+
+        itemDragDrop = this._itemsDragDrop[ item ];
+
+        if( itemDragDrop ){
+            itemDragDrop.drag.set( "lock", true );
+        }
+
+        this._touch = {
+            'item': item,
+            'target': e.target,
+            'xy': xy,
+            'moved': false,
+            'reorder': false,
+            'timer': this.get( REORDER_ITEMS ) ? Y.later( LONG_PRESS_DELAY, this, this._startTouchReorder ) : null
+        };
+    },
+
+
+    /**
+     * Starts reordering of the touched item. Fires beforeItemReorder event - returning false will cancel reordering
+     *
+     * @method _startTouchReorder
+     * @protected
+     */
+    _startTouchReorder: function(){
+        var touch = this._touch;
+
+        if( !touch ){
+            return;
+        }
+
+        touch.timer = null;
+
+        if( !this.fire( BEFOREITEMREORDER, { 'item': touch.item } ) ){
+            return;
+        }
+
+        touch.reorder = true;
+        touch.item.get( BOUNDING_BOX ).addClass( C_TOUCH_REORDER );
+    },
+
+
+    /**
+     * If the item is being reordered, prevents scrolling of the page and shows the drop marker at the touch position.
+     * Otherwise, if the touch point has been moved, the gesture will be not considered as tap or long press anymore.
+     *
+     * @method _onHeaderTouchMove
+     * @protected
+     * @param e {Event} The touchmove event
+     */
+    _onHeaderTouchMove: function( e ){
+        var touch, xy;
+
+        touch = this._touch;
+        xy = this._getTouchXY( e );
+
+        if( !touch || !xy ){
+            return;
+        }
+
+        if( touch.reorder ){
+            e.preventDefault();
+
+            this._dropPosition = {
+                'accordion': this,
+                'index': this._getDropIndex( xy )
+            };
+
+            this._showDropMarker( this._dropPosition );
+        } else if( Math.abs( xy[ 0 ] - touch.xy[ 0 ] ) > TAP_THRESHOLD ||
+                Math.abs( xy[ 1 ] - touch.xy[ 1 ] ) > TAP_THRESHOLD ){
+            touch.moved = true;
+
+            if( touch.timer ){
+                touch.timer.cancel();
+                touch.timer = null;
+            }
+        }
+    },
+
+
+    /**
+     * Finishes the touch gesture. Tap chooses the item the same way as <code>itemChosen</code> event does.
+     * Swipe across the header toggles the always visible state of the item, unless the always visible icon
+     * is hidden. If the item has been reordered, it will be moved to the drop position and itemReordered event
+     * will be fired.
+     *
+     * @method _onHeaderTouchEnd
+     * @protected
+     * @param e {Event} The touchend event
+     */
+    _onHeaderTouchEnd: function( e ){
+        var touch, xy, item, index, alongOffset, acrossOffset, horizontal;
+
+        touch = this._touch;
+        xy = this._getTouchXY( e );
+
+        if( !touch || !xy ){
+            this._endTouch();
+            return;
+        }
+
+        item = touch.item;
+
+        if( touch.reorder ){
+            e.preventDefault();
+
+            if( this._dropPosition ){
+                index = this._dropPosition.index;
+
+                if( index > this.getItemIndex( item ) ){
+                    index--;
+                }
+
+                if( this._reorderItem( item, index ) ){
+                    this.fire( ITEMREORDERED, { 'item': item } );
+                }
+            }
+        } else if( !touch.moved ){
+            // prevent the emulated mouse events and click, which follow the touch
+            e.preventDefault();
+
+            this._chooseItem( item, touch.target );
+        } else {
+            horizontal = this._isHorizontal();
+            acrossOffset = Math.abs( xy[ horizontal ? 1 : 0 ] - touch.xy[ horizontal ? 1 : 0 ] );
+            alongOffset = Math.abs( xy[ horizontal ? 0 : 1 ] - touch.xy[ horizontal ? 0 : 1 ] );
+
+            if( acrossOffset >= SWIPE_DISTANCE && acrossOffset > 2 * alongOffset &&
+                    this._isIconShown( item, SHOW_ICON_ALWAYSVISIBLE ) ){
+                this._setFocusedItem( item );
+                this._onItemChosen( item, true, false );
+            }
+        }
+
+        this._endTouch();
+    },
+
+
+    /**
+     * Stops tracking of the current touch gesture, hides the drop marker and unlocks the drag instance of the item
+     *
+     * @method _endTouch
+     * @protected
+     */
+    _endTouch: function(){
+        var touch, itemDragDrop;
+
+        touch = this._touch;
+
+        if( !touch ){
+            return;
+        }
+
+        if( touch.timer ){
+            touch.timer.cancel();
+        }
+
+        this._syncItemDragDrop( touch.item );
+
+        touch.item.get( BOUNDING_BOX ).removeClass( C_TOUCH_REORDER );
+
+        this._dropPosition = null;
+        this._hideDropMarker();
+
+        this._touch = null;
+    },
+
+
+    /**
+     * Determines the source of user interaction (is that iconClose, iconAlwaysVisisble, etc.),
+     * makes the item the focusable one and invokes this._onItemChosen for further processing.
+     * If the source is retry icon, loading of item's content will be started again instead.
+     * If the source is a custom header action, itemActionClick event will be fired instead.
+     * Interactions with disabled items or disabled Accordion will be ignored.
+     *
+     * @method _chooseItem
+     * @protected
+     * @param item {Y.AccordionItem} The item on which user has clicked or pressed key
+     * @param target {Node} The node in item's header, which is the source of the interaction
+     */
+    _chooseItem: function( item, target ){
+        var iconAlwaysVisible, iconClose, srcIconAlwaysVisible, srcIconClose, action;
+
+        if( this._isItemDisabled( item ) ){
+            return;
+        }
+
+        iconAlwaysVisible = item.get( ICON_ALWAYSVISIBLE );
+        iconClose = item.get( ICON_CLOSE );
+        srcIconAlwaysVisible = (iconAlwaysVisible === target) && this._isIconShown( item, SHOW_ICON_ALWAYSVISIBLE );
+        srcIconClose = (iconClose === target);
+
+        this._setFocusedItem( item );
+
+        if( item.get( ICON_RETRY ) === target ){
+            item.loadContent();
+            return;
+        }
+
+        action = item.getHeaderAction( target );
+
+        if( action ){
+            this.fire( ITEMACTIONCLICK, {
+                'item': item,
+                'name': action.name
+            });
+
+            return;
+        }
+
+        this._onItemChosen( item, srcIconAlwaysVisible, srcIconClose );
+    },
+
+
+    /**
+     * Default function of itemActionClick event. Invokes the handler of the clicked action in the context of the item.
+     *
+     * @method _defItemActionClickFn
+     * @protected
+     * @param e {Event} The itemActionClick event
+     */
+    _defItemActionClickFn: function( e ){
+        var action = e.item.getHeaderAction( e.name );
+
+        if( action && action.handler ){
+            action.handler.call( e.item, e );
+        }
+    },
+
+
+    /**
+     * Handles keyboard navigation between items' headers. Up and Down keys (Left and Right in horizontal orientation)
+     * move the focus to the previous or next item, Home and End - to the first or the last one.
+     * Enter and Space toggle the item the same way as <code>itemChosen</code> event does.
+     * If <code>reorderItems</code> is true, Ctrl + Up and Ctrl + Down (Left and Right in horizontal orientation)
+     * move the item one position before or after.
+     *
+     * @method _onItemKeyDown
+     * @protected
+     *
+     * @param e {Event} The keydown event
+     */
+    _onItemKeyDown: function( e ){
+        var item, keyCode, targetItem, offset;
+
+        if( e.altKey || e.metaKey ){
+            return;
+        }
+
+        item = this.getItem( e.currentTarget.get( PARENT_NODE ) );
+
+        if( !item ){
+            return;
+        }
+
+        keyCode = e.keyCode;
+
+        if( e.ctrlKey ){
+            offset = this._getReorderOffset( keyCode );
+
+            if( offset && this.get( REORDER_ITEMS ) && !this._isItemDisabled( item ) ){
+                e.preventDefault();
+
+                this.moveItem( item, this.getItemIndex( item ) + offset );
+                this._focusItem( item );
+            }
+        } else if( keyCode === KEY_ENTER || keyCode === KEY_SPACE ){
+            e.preventDefault();
+
+            this._chooseItem( item, e.target );
+        } else {
+            targetItem = this._getNavigationTarget( item, keyCode );
+
+            if( targetItem ){
+                e.preventDefault();
+
+                this._focusItem( targetItem );
+            }
+        }
+    },
+
+
+    /**
+     * Returns the item to which the focus should be moved as result of pressing given key
+     *
+     * @method _getNavigationTarget
+     * @protected
+     * @param item {Y.AccordionItem} The item, which header is currently focused
+     * @param keyCode {Number} The code of the pressed key
+     * @return {Y.AccordionItem} The item which should receive the focus or null if the key is not a navigation one
+     */
+    _getNavigationTarget: function( item, keyCode ){
+        var items, index, length, horizontal;
+
+        items = this._getNavigableItems();
+        length = items.length;
+
+        if( !length ){
+            return null;
+        }
+
+        index = Y.Array.indexOf( items, item );
+        horizontal = this._isHorizontal();
+
+        if( keyCode === KEY_HOME ){
+            return items[ 0 ];
+        } else if( keyCode === KEY_END ){
+            return items[ length - 1 ];
+        } else if( keyCode === (horizontal ? KEY_LEFT : KEY_UP) ){
+            return items[ index > 0 ? index - 1 : length - 1 ];
+        } else if( keyCode === (horizontal ? KEY_RIGHT : KEY_DOWN) ){
+            return items[ (index + 1) % length ];
+        }
+
+        return null;
+    },
+
+
+    /**
+     * Returns the offset, to which an item should be moved as result of pressing given key together with Ctrl
+     *
+     * @method _getReorderOffset
+     * @protected
+     * @param keyCode {Number} The code of the pressed key
+     * @return {Number} -1 or 1 if the item should be moved before or after, 0 if the key is not a reordering one
+     */
+    _getReorderOffset: function( keyCode ){
+        var horizontal = this._isHorizontal();
+
+        if( keyCode === (horizontal ? KEY_LEFT : KEY_UP) ){
+            return -1;
+        } else if( keyCode === (horizontal ? KEY_RIGHT : KEY_DOWN) ){
+            return 1;
+        }
+
+        return 0;
+    },
+
+
+    /**
+     * Returns the items, which can receive the focus by using keyboard navigation.
+     * Disabled and hidden items are skipped.
+     *
+     * @method _getNavigableItems
+     * @protected
+     * @return {Array} The list of navigable items
+     */
+    _getNavigableItems: function(){
+        var items = [];
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, allItems ){
+            if( !item.get( DISABLED ) && item.get( VISIBLE ) ){
+                items.push( item );
+            }
+        }, this );
+
+        return items;
+    },
+
+
+    /**
+     * Checks whether user interactions with an item should be ignored
+     *
+     * @method _isItemDisabled
+     * @protected
+     * @param item {Y.AccordionItem} The item to be checked
+     * @return {Boolean} True if the item or Accordion is disabled, false otherwise
+     */
+    _isItemDisabled: function( item ){
+        return this.get( DISABLED ) || item.get( DISABLED );
+    },
+
+
+    /**
+     * Updates drag instances and tab indexes of the items after changing <code>disabled</code> property
+     * of an item
+     *
+     * @method _afterItemDisabledChange
+     * @protected
+     * @param {EventFacade} params The event facade for the attribute change
+     */
+    _afterItemDisabledChange: function( params ){
+        this._syncItemDragDrop( params.currentTarget );
+        this._updateTabIndexes();
+    },
+
+
+    /**
+     * Updates drag instance of an item and tab indexes of the items after showing or hiding the item.
+     * The stretch items will be adjusted to take or release the space of the item. If an expanded item
+     * is shown, it will be processed as just expanded, so the other items may be collapsed
+     * because of <code>collapseOthersOnExpand</code> or <code>maxExpanded</code>.
+     *
+     * @method _afterItemVisibleChange
+     * @protected
+     * @param {EventFacade} params The event facade for the attribute change
+     */
+    _afterItemVisibleChange: function( params ){
+        var item, toBeExcluded;
+
+        item = params.currentTarget;
+
+        this._syncItemDragDrop( item );
+        this._updateTabIndexes();
+
+        if( params.newVal && item.get( EXPANDED ) ){
+            this._expansionOrder[ item ] = ++this._expansionCounter;
+
+            this._forExpanding[ item ] = {
+                'item': item,
+                'alwaysVisible': item.get( ALWAYSVISIBLE ),
+                'approved': true
+            };
+
+            if( this.get( COLLAPSEOTHERSONEXPAND ) ){
+                toBeExcluded = {};
+                toBeExcluded[ item ] = {
+                    'item': item
+                };
+
+                this._storeItemsForCollapsing( toBeExcluded );
+            }
+
+            this._processItems();
+        } else {
+            this._adjustStretchItems();
+        }
+    },
+
+
+    /**
+     * Updates aria-disabled state of Accordion's <code>contentBox</code> and drag instances of the items
+     * after changing <code>disabled</code> property
+     *
+     * @method _afterDisabledChange
+     * @protected
+     * @param {EventFacade} params The event facade for the attribute change
+     */
+    _afterDisabledChange: function( params ){
+        if( !this.get( RENDERED ) ){
+            return;
+        }
+
+        this.get( CONTENT_BOX ).setAttribute( ARIA_DISABLED, String( params.newVal ) );
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, items ){
+            this._syncItemDragDrop( item );
+        }, this );
+    },
+
+
+    /**
+     * Makes the item the focusable one and moves the focus to its label
+     *
+     * @method _focusItem
+     * @protected
+     * @param item {Y.AccordionItem} The item which should receive the focus
+     */
+    _focusItem: function( item ){
+        this._setFocusedItem( item );
+
+        item.get( NODE_LABEL ).invoke( "focus" );
+    },
+
+
+    /**
+     * Stores the item as the only one, which label is in the tab order and updates the tab indexes of all items
+     *
+     * @method _setFocusedItem
+     * @protected
+     * @param item {Y.AccordionItem} The item which should be in the tab order
+     */
+    _setFocusedItem: function( item ){
+        this._focusedItem = item;
+
+        this._updateTabIndexes();
     },
 
-    
+
     /**
-     * Add listener to <code>itemChosen</code> event in Accordion's content box
-     * 
-     * @method bindUI
+     * Implements roving tab index - the label of the focused item (or of the first item, if there is no such)
+     * and its header actions will be the only ones in the tab order. Icons are never in the tab order.
+     *
+     * @method _updateTabIndexes
      * @protected
      */
-    bindUI: function(){
-        var contentBox, itemChosenEvent;
+    _updateTabIndexes: function(){
+        var items, focusedItem;
 
-        contentBox = this.get( CONTENT_BOX );
-        itemChosenEvent = this.get( 'itemChosen' );
-        
-        contentBox.delegate( itemChosenEvent, Y.bind( this._onItemChosenEvent, this ), 'div.yui-widget-hd' );
+        items = this._getNavigableItems();
+        focusedItem = this._focusedItem;
+
+        if( Y.Array.indexOf( items, focusedItem ) < 0 ){
+            focusedItem = items.length ? items[ 0 ] : null;
+            this._focusedItem = focusedItem;
+        }
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, items ){
+            this._setItemTabIndex( item, item === focusedItem );
+        }, this );
     },
 
 
     /**
-     * Listening for itemChosen event, determines the source (is that iconClose, iconAlwaysVisisble, etc.) and
-     * invokes this._onItemChosen for further processing
+     * Sets the tab index of item's label, header actions and icons
      *
-     * @method _onItemChosenEvent
+     * @method _setItemTabIndex
      * @protected
-     * 
-     * @param e {Event} The itemChosen event
+     * @param item {Y.AccordionItem} The item which tab indexes should be set
+     * @param focusable {Boolean} If true, the label and the header actions of the item will be placed in the tab order
      */
-    _onItemChosenEvent: function(e){
-        var header, itemNode, item, iconAlwaysVisible,
-            iconClose, srcIconAlwaysVisible, srcIconClose;
+    _setItemTabIndex: function( item, focusable ){
+        var nodeLabel = item.get( NODE_LABEL );
 
-        header = e.currentTarget;
-        itemNode = header.get( PARENT_NODE );
-        item = this.getItem( itemNode );
-        iconAlwaysVisible = item.get( ICON_ALWAYSVISIBLE );
-        iconClose = item.get( ICON_CLOSE );
-        srcIconAlwaysVisible = (iconAlwaysVisible === e.target);
-        srcIconClose = (iconClose === e.target);
+        if( nodeLabel ){
+            nodeLabel.set( TAB_INDEX, focusable ? 0 : -1 );
+            nodeLabel.setAttribute( ARIA_SELECTED, String( focusable ) );
+        }
 
-        this._onItemChosen( item, srcIconAlwaysVisible, srcIconClose );
+        Y.Array.each( item.getHeaderActions(), function( action, index, actions ){
+            action.node.set( TAB_INDEX, focusable ? 0 : -1 );
+        }, this );
+
+        Y.Array.each( [ ICON_ALWAYSVISIBLE, ICON_RETRY, ICON_EXPANDED, ICON_CLOSE ], function( iconName ){
+            var icon = item.get( iconName );
+
+            if( icon ){
+                icon.set( TAB_INDEX, -1 );
+            }
+        }, this );
     },
 
 
@@ -1548,6 +4467,12 @@ Y.extend( Accordion, Y.Widget, {
         if( !item.get( RENDERED ) ){
             item.render();
         }
+
+        this._restorePersistedItemState( item );
+
+        if( this.get( RESIZABLE_ITEMS ) ){
+            this._initItemSplitter( item );
+        }
         
         expanded = item.get( EXPANDED );
         alwaysVisible = item.get( ALWAYSVISIBLE );
@@ -1567,7 +4492,7 @@ Y.extend( Accordion, Y.Widget, {
 
         this._processItems();
 
-        if( this.get( "reorderItems" ) ){
+        if( this.get( REORDER_ITEMS ) ){
             this._initItemDragDrop( item );
         }
         
@@ -1578,13 +4503,31 @@ Y.extend( Accordion, Y.Widget, {
         }
         
         itemHandles = {
+            "expandedChangeOn" : item.on( "expandedChange", Y.bind( this._onItemExpand, this ) ),
             "expandedChange" : item.after( "expandedChange", Y.bind( this._afterItemExpand, this ) ),
             "alwaysVisibleChange" : item.after( "alwaysVisibleChange", Y.bind( this._afterItemAlwaysVisible, this ) ),
-            "contentHeightChange" : item.after( "contentHeightChange", Y.bind( this._afterContentHeight, this ) )
+            "contentHeightChange" : item.after( "contentHeightChange", Y.bind( this._afterContentHeight, this ) ),
+            "contentStateChange" : item.after( "contentStateChange", Y.bind( this._afterItemContentState, this ) ),
+            "nestedItemResized" : item.after( AccName + ":" + ITEMERESIZED, Y.bind( this._afterNestedItemResized, this, item ) ),
+            "contentChange" : this._watchItemContent( item ),
+            "overflowChange" : item.after( "overflowChange", Y.bind( this._afterItemOverflowChange, this ) ),
+            "disabledChange" : item.after( "disabledChange", Y.bind( this._afterItemDisabledChange, this ) ),
+            "visibleChange" : item.after( "visibleChange", Y.bind( this._afterItemVisibleChange, this ) ),
+            "showIconAlwaysVisibleChange" : item.after( "showIconAlwaysVisibleChange", Y.bind( this._afterItemShowIconChange, this ) ),
+            "showIconExpandedChange" : item.after( "showIconExpandedChange", Y.bind( this._afterItemShowIconChange, this ) )
         };
+
+        this._setUpNestedAccordions( item );
         
         this._itemsHandles[ item ] = itemHandles;
 
+        if( !this._animations[ item ] ){
+            this._applyItemOverflow( item );
+        }
+
+        this._applyItemIcons( item );
+        this._updateTabIndexes();
+
         this.fire( ITEMADDED, {
             'item': item
         });
@@ -1622,11 +4565,20 @@ Y.extend( Accordion, Y.Widget, {
             item = items.splice( itemIndex, 1 )[0];
 
             this._removeItemHandles( item );
+            this._removeItemDragDrop( item );
+            this._removeItemSplitter( item );
+
+            delete this._scrollPositions[ item ];
+            delete this._expansionOrder[ item ];
             
             bb = item.get( BOUNDING_BOX );
             bb.remove();
 
             this._adjustStretchItems();
+
+            this._updateTabIndexes();
+
+            this._savePersistedState();
             
             this.fire( ITEMREMOVED, {
                 item: p_item
@@ -1637,6 +4589,409 @@ Y.extend( Accordion, Y.Widget, {
     },
 
     
+    /**
+     * Expands an item. Depending on the options, the other items might be collapsed and
+     * the animation might be skipped.
+     *
+     * @method expandItem
+     * @param {Y.AccordionItem|Number} p_item The item to be expanded, or its index
+     * @param {Object} options (optional) Object literal with the following properties:
+     *  <dl>
+     *      <dt>skipAnimation</dt>
+     *          <dd>If true, the item will be expanded without animation, regardless of <code>useAnimation</code> setting</dd>
+     *      <dt>collapseOthers</dt>
+     *          <dd>If set, overwrites Accordion's <code>collapseOthersOnExpand</code> setting</dd>
+     *  </dl>
+     * @return Boolean True if the item has been expanded, false if it has been not found or it was already expanded
+     */
+    expandItem: function( p_item, options ){
+        var item, collapseOthers, toBeExcluded;
+
+        item = this._resolveItem( p_item );
+
+        if( !item || item.get( EXPANDED ) ){
+            return false;
+        }
+
+        options = options || {};
+        collapseOthers = Lang.isBoolean( options.collapseOthers ) ?
+            options.collapseOthers : this.get( COLLAPSEOTHERSONEXPAND );
+
+        this._forExpanding[ item ] = {
+            'item': item,
+            'alwaysVisible': item.get( ALWAYSVISIBLE )
+        };
+
+        if( collapseOthers ){
+            toBeExcluded = {};
+
+            toBeExcluded[ item ] = {
+                'item': item
+            };
+
+            this._storeItemsForCollapsing( toBeExcluded );
+        }
+
+        this._processItems( options.skipAnimation );
+
+        return item.get( EXPANDED );
+    },
+
+
+    /**
+     * Collapses an item
+     *
+     * @method collapseItem
+     * @param {Y.AccordionItem|Number} p_item The item to be collapsed, or its index
+     * @param {Object} options (optional) Object literal with the following properties:
+     *  <dl>
+     *      <dt>skipAnimation</dt>
+     *          <dd>If true, the item will be collapsed without animation, regardless of <code>useAnimation</code> setting</dd>
+     *  </dl>
+     * @return Boolean True if the item has been collapsed, false if it has been not found or it was already collapsed
+     */
+    collapseItem: function( p_item, options ){
+        var item = this._resolveItem( p_item );
+
+        if( !item || !item.get( EXPANDED ) ){
+            return false;
+        }
+
+        options = options || {};
+
+        this._forCollapsing[ item ] = {
+            'item': item
+        };
+
+        this._processItems( options.skipAnimation );
+
+        return !item.get( EXPANDED );
+    },
+
+
+    /**
+     * Expands the item if it is collapsed or collapses it otherwise
+     *
+     * @method toggleItem
+     * @param {Y.AccordionItem|Number} p_item The item to be toggled, or its index
+     * @param {Object} options (optional) The same options as in <code>expandItem</code> method
+     * @return Boolean True if the item has been toggled, false otherwise
+     */
+    toggleItem: function( p_item, options ){
+        var item = this._resolveItem( p_item );
+
+        if( !item ){
+            return false;
+        }
+
+        return item.get( EXPANDED ) ? this.collapseItem( item, options ) : this.expandItem( item, options );
+    },
+
+
+    /**
+     * Expands all collapsed items. <code>collapseOthersOnExpand</code> setting will be not taken into account.
+     *
+     * @method expandAll
+     * @param {Object} options (optional) Object literal with the following properties:
+     *  <dl>
+     *      <dt>skipAnimation</dt>
+     *          <dd>If true, the items will be expanded without animation, regardless of <code>useAnimation</code> setting</dd>
+     *  </dl>
+     * @return Boolean True if there were items to be expanded, false otherwise
+     */
+    expandAll: function( options ){
+        var found = false;
+
+        options = options || {};
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, items ){
+            if( !item.get( EXPANDED ) ){
+                this._forExpanding[ item ] = {
+                    'item': item,
+                    'alwaysVisible': item.get( ALWAYSVISIBLE )
+                };
+
+                found = true;
+            }
+        }, this );
+
+        if( found ){
+            this._processItems( options.skipAnimation );
+        }
+
+        return found;
+    },
+
+
+    /**
+     * Collapses all expanded items, including those, set as always visible
+     *
+     * @method collapseAll
+     * @param {Object} options (optional) Object literal with the following properties:
+     *  <dl>
+     *      <dt>skipAnimation</dt>
+     *          <dd>If true, the items will be collapsed without animation, regardless of <code>useAnimation</code> setting</dd>
+     *  </dl>
+     * @return Boolean True if there were items to be collapsed, false otherwise
+     */
+    collapseAll: function( options ){
+        var found = false;
+
+        options = options || {};
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, items ){
+            if( item.get( EXPANDED ) ){
+                this._forCollapsing[ item ] = {
+                    'item': item
+                };
+
+                found = true;
+            }
+        }, this );
+
+        if( found ){
+            this._processItems( options.skipAnimation );
+        }
+
+        return found;
+    },
+
+
+    /**
+     * Moves an item to a new position. Fires beforeItemReorder event - returning false will cancel moving.
+     * After moving, itemReordered event will be fired.
+     *
+     * @method moveItem
+     * @param {Y.AccordionItem|Number} p_item The item to be moved, or its index
+     * @param {Number} newIndex The new index of the item. It will be limited to the range of the existing indexes
+     * @return Boolean True if the item has been moved, false if it has been not found, it is already at this position
+     * or moving has been cancelled
+     */
+    moveItem: function( p_item, newIndex ){
+        var item, length;
+
+        item = this._resolveItem( p_item );
+
+        if( !item || !Lang.isNumber( newIndex ) ){
+            return false;
+        }
+
+        length = this.get( ITEMS ).length;
+        newIndex = Math.max( 0, Math.min( newIndex, length - 1 ) );
+
+        if( newIndex === this.getItemIndex( item ) ){
+            return false;
+        }
+
+        if( !this.fire( BEFOREITEMREORDER, { 'item': item, 'index': newIndex } ) ){
+            return false;
+        }
+
+        this._reorderItem( item, newIndex );
+
+        this.fire( ITEMREORDERED, { 'item': item } );
+
+        return true;
+    },
+
+
+    /**
+     * Resizes an item as the user would do by dragging its splitter. Fires beforeItemResized event - returning false
+     * will cancel resizing. After that, item's <code>contentHeight</code> will be updated, the stretch items will be
+     * adjusted and itemResized event will be fired with the height, which the item actually got. A stretch item
+     * can not take the whole space of the stretch items, so it might get less than the requested height.
+     *
+     * @method resizeItem
+     * @param {Y.AccordionItem|Number} p_item The item to be resized, or its index
+     * @param {Number} height The new height (the width in horizontal orientation) of item's body
+     * @param {Number} previousHeight (optional) The height, which will be restored if resizing is cancelled.
+     * By default, this is the current height of the body
+     * @return Boolean True if the item has been resized, false otherwise
+     */
+    resizeItem: function( p_item, height, previousHeight ){
+        var item, body, params, contentHeight;
+
+        item = this._resolveItem( p_item );
+
+        if( !item || !item.get( EXPANDED ) || !Lang.isNumber( height ) || height < 0 ){
+            return false;
+        }
+
+        body = item.getStdModNode( WidgetStdMod.BODY );
+
+        if( !Lang.isNumber( previousHeight ) ){
+            previousHeight = this._getNodeOffsetSize( body );
+        }
+
+        params = {
+            'item': item,
+            'height': height,
+            'userResize': true
+        };
+
+        if( !this.fire( BEFOREITEMERESIZED, params ) ){
+            body.setStyle( this._getSizeProperty(), previousHeight + PX );
+            return false;
+        }
+
+        body.setStyle( this._getSizeProperty(), height + PX );
+
+        contentHeight = this._getResizedContentHeight( item, height );
+        item.set( CONTENT_HEIGHT, contentHeight );
+
+        if( contentHeight.method === STRETCH ){
+            params.height = this._getStretchItemsHeights()[ item ];
+        }
+
+        this.fire( ITEMERESIZED, params );
+
+        return true;
+    },
+
+
+    /**
+     * Moves an item to another Accordion. Fires beforeItemTransfer event in both Accordions -
+     * returning false will cancel the transfer. After that, the item will be removed from this Accordion,
+     * added to the target one and itemTransferred event will be fired in both Accordions.
+     * If the target refuses the item (for example its beforeItemAdd event is vetoed), the item
+     * will be added back to this Accordion at its original index.
+     *
+     * @method transferItem
+     * @param {Y.AccordionItem|Number} p_item The item to be transferred, or its index
+     * @param {Y.Accordion} target The Accordion, to which the item should be moved
+     * @param {Number} index (optional) The index of the item in the target Accordion. By default the item will be added
+     * after the last item
+     * @return Boolean True if the item has been transferred, false otherwise
+     */
+    transferItem: function( p_item, target, index ){
+        var item, params, parentItem, sourceNextItem;
+
+        item = this._resolveItem( p_item );
+
+        if( !item || !( target instanceof Accordion ) || target === this ){
+            return false;
+        }
+
+        if( !Lang.isNumber( index ) || index < 0 || index > target.get( ITEMS ).length ){
+            index = target.get( ITEMS ).length;
+        }
+
+        params = {
+            'item': item,
+            'source': this,
+            'target': target,
+            'index': index
+        };
+
+        if( !this.fire( BEFOREITEMTRANSFER, params ) || !target.fire( BEFOREITEMTRANSFER, params ) ){
+            return false;
+        }
+
+        parentItem = target.getItem( index );
+        sourceNextItem = this.getItem( this.getItemIndex( item ) + 1 );
+
+        this.removeItem( item );
+
+        // the target may still refuse the item, for example by vetoing beforeItemAdd.
+        // Then the item goes back to its original place in this Accordion
+        if( !target.addItem( item, parentItem || undefined ) ){
+            this.addItem( item, sourceNextItem || undefined );
+            return false;
+        }
+
+        this.fire( ITEMTRANSFERRED, params );
+        target.fire( ITEMTRANSFERRED, params );
+
+        return true;
+    },
+
+
+    /**
+     * Returns the expanded items, ordered by the time of their expanding - the least recently expanded item is the first one.
+     * Hidden items are not included, the same way as they are not counted by <code>maxExpanded</code>
+     * and <code>requireExpanded</code>.
+     *
+     * @method getExpandedItems
+     * @return Array The expanded items
+     */
+    getExpandedItems: function(){
+        var result = [];
+
+        Y.Array.each( this.get( ITEMS ), function( item, index, items ){
+            if( item.get( EXPANDED ) && item.get( VISIBLE ) ){
+                result.push( item );
+            }
+        }, this );
+
+        result.sort( Y.bind( function( item1, item2 ){
+            return ( this._expansionOrder[ item1 ] || 0 ) - ( this._expansionOrder[ item2 ] || 0 );
+        }, this ) );
+
+        return result;
+    },
+
+
+    /**
+     * Hides an item without removing it from Accordion. The item keeps its index in <code>items</code>,
+     * its state and its handles, but it does not take any space and can not be dragged or focused.
+     * While hidden, the item is not counted by <code>maxExpanded</code> and <code>requireExpanded</code>,
+     * it is not returned by <code>getExpandedItems</code> and it is never collapsed implicitly.
+     * If the item is expanded when shown again, the limits will be applied as if it has been just expanded.
+     *
+     * @method hideItem
+     * @param {Y.AccordionItem|Number} p_item The item to be hidden, or its index
+     * @return Boolean True if the item is hidden, false otherwise
+     */
+    hideItem: function( p_item ){
+        var item = this._resolveItem( p_item );
+
+        if( !item ){
+            return false;
+        }
+
+        item.set( VISIBLE, false );
+
+        return !item.get( VISIBLE );
+    },
+
+
+    /**
+     * Shows an item, previously hidden by <code>hideItem</code>
+     *
+     * @method showItem
+     * @param {Y.AccordionItem|Number} p_item The item to be shown, or its index
+     * @return Boolean True if the item is visible, false otherwise
+     */
+    showItem: function( p_item ){
+        var item = this._resolveItem( p_item );
+
+        if( !item ){
+            return false;
+        }
+
+        item.set( VISIBLE, true );
+
+        return item.get( VISIBLE );
+    },
+
+
+    /**
+     * Returns a registered item, specified by its instance or index
+     *
+     * @method _resolveItem
+     * @protected
+     * @param {Y.AccordionItem|Number} p_item The item or its index
+     * @return Y.AccordionItem The found item or null
+     */
+    _resolveItem: function( p_item ){
+        if( Lang.isNumber( p_item ) ){
+            return this.getItem( p_item );
+        }
+
+        return this.getItemIndex( p_item ) >= 0 ? p_item : null;
+    },
+
+
     /**
      * Searching for item, previously registered in Accordion
      * 
@@ -1701,6 +5056,27 @@ Y.extend( Accordion, Y.Widget, {
         }
 
         return res;
+    },
+
+
+    /**
+     * Parses and returns the yuiConfig attribute from contentBox. It must be stringified JSON object.
+     *
+     * @method _getConfigDOMAttribute
+     * @protected
+     * @param {Node} contentBox Widget's contentBox
+     * @return {Object} The parsed yuiConfig value
+     */
+    _getConfigDOMAttribute: function( contentBox ){
+        if( !this._parsedCfg ){
+            this._parsedCfg = contentBox.getAttribute( YUICONFIG );
+
+            if( this._parsedCfg ){
+                this._parsedCfg = Y.JSON.parse( this._parsedCfg );
+            }
+        }
+
+        return this._parsedCfg;
     }
     
 });
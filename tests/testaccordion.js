@@ -7,6 +7,52 @@ YUI({
     
     var _that = this;
 
+    /**
+     * Creates an Accordion and renders it in a new container, appended to the body.
+     * The animation is disabled, unless set in the config. An already created, not rendered
+     * Accordion can be passed instead of config.
+     */
+    function createAccordion( config, containerStyle ){
+        var container, accordion;
+
+        container = Y.Node.create( containerStyle ? '<div style="' + containerStyle + '"></div>' : '<div></div>' );
+        Y.get( "body" ).appendChild( container );
+
+        if( config instanceof Y.Accordion ){
+            accordion = config;
+        } else {
+            accordion = new Y.Accordion( Y.merge( { useAnimation: false }, config ) );
+        }
+
+        accordion.render( container );
+
+        return accordion;
+    }
+
+    /**
+     * Destroys an Accordion, created by createAccordion, and removes its container
+     */
+    function destroyAccordion( accordion ){
+        var container = accordion.get( "boundingBox" ).get( "parentNode" );
+
+        accordion.destroy();
+
+        if( container ){
+            container.remove();
+        }
+    }
+
+    /**
+     * Simulates a mouse event on a node at given page coordinates
+     */
+    function simulateMouse( node, type, xy ){
+        Y.Event.simulate( Y.Node.getDOMNode( node ), type, {
+            clientX: xy[0] - Y.DOM.docScrollX(),
+            clientY: xy[1] - Y.DOM.docScrollY(),
+            button: 0
+        });
+    }
+
     /**
      * Create an Accordion from markup, animation enabled.
      * Accordion's content box already has two items, which will be added to accordion authomatically 
@@ -349,6 +395,1728 @@ YUI({
            }
     });
 
+    var testKeyboardNavigation = new Y.Test.Case( {
+        testArrowDownMovesFocus: function(){
+            var _item0, _item1, _header0;
+
+            _item0 = _that._accordion.getItem( 0 );
+            _item1 = _that._accordion.getItem( 1 );
+            _header0 = Y.Node.getDOMNode( _item0.getStdModNode( Y.WidgetStdMod.HEADER ) );
+
+            Y.Event.simulate( _header0, "keydown", { keyCode: 40 } );
+
+            Y.Assert.areEqual( 0, _item1.get( "nodeLabel" ).get( "tabIndex" ), "Item1 label must be in the tab order" );
+            Y.Assert.areEqual( -1, _item0.get( "nodeLabel" ).get( "tabIndex" ), "Item0 label must be out of the tab order" );
+        },
+
+        testEndAndHomeKeys: function(){
+            var _items, _first, _last, _header;
+
+            _items = _that._accordion.get( "items" );
+            _first = _items[ 0 ];
+            _last = _items[ _items.length - 1 ];
+            _header = Y.Node.getDOMNode( _first.getStdModNode( Y.WidgetStdMod.HEADER ) );
+
+            Y.Event.simulate( _header, "keydown", { keyCode: 35 } );
+            Y.Assert.areEqual( 0, _last.get( "nodeLabel" ).get( "tabIndex" ), "The last label must be in the tab order" );
+
+            _header = Y.Node.getDOMNode( _last.getStdModNode( Y.WidgetStdMod.HEADER ) );
+
+            Y.Event.simulate( _header, "keydown", { keyCode: 36 } );
+            Y.Assert.areEqual( 0, _first.get( "nodeLabel" ).get( "tabIndex" ), "The first label must be in the tab order" );
+        },
+
+        testEnterTogglesItem: function(){
+            var _item1, _expanded;
+
+            _item1 = _that._accordion.getItem( 1 );
+            _expanded = _item1.get( "expanded" );
+
+            Y.Event.simulate( Y.Node.getDOMNode( _item1.get( "nodeLabel" ) ), "keydown", { keyCode: 13 } );
+
+            Y.Assert.areSame( !_expanded, _item1.get( "expanded" ), "Enter must toggle the item" );
+        }
+    });
+
+    var testARIA = new Y.Test.Case( {
+        testRoles: function(){
+            var _item0, _label, _body;
+
+            _item0 = _that._accordion.getItem( 0 );
+            _label = _item0.get( "nodeLabel" );
+            _body = _item0.getStdModNode( Y.WidgetStdMod.BODY );
+
+            Y.Assert.areEqual( "tablist", _that._accordion.get( "contentBox" ).getAttribute( "role" ), "Content box must be tablist" );
+            Y.Assert.areEqual( "tab", _label.getAttribute( "role" ), "Label must be tab" );
+            Y.Assert.areEqual( "tabpanel", _body.getAttribute( "role" ), "Body must be tabpanel" );
+            Y.Assert.areEqual( _body.get( "id" ), _label.getAttribute( "aria-controls" ), "Label must control the body" );
+            Y.Assert.areEqual( _label.get( "id" ), _body.getAttribute( "aria-labelledby" ), "Body must be labelled by the label" );
+        },
+
+        testStatesFollowItem: function(){
+            var _item0, _expanded;
+
+            _item0 = _that._accordion.getItem( 0 );
+
+            _item0.set( "expanded", !_item0.get( "expanded" ) );
+            _expanded = _item0.get( "expanded" );
+
+            Y.Assert.areEqual( String( _expanded ), _item0.get( "nodeLabel" ).getAttribute( "aria-expanded" ), "aria-expanded must follow the item" );
+            Y.Assert.areEqual( String( !_expanded ), _item0.getStdModNode( Y.WidgetStdMod.BODY ).getAttribute( "aria-hidden" ), "aria-hidden must follow the item" );
+            Y.Assert.areEqual( String( _item0.get( "alwaysVisible" ) ), _item0.get( "iconAlwaysVisible" ).getAttribute( "aria-pressed" ), "aria-pressed must follow the item" );
+        }
+    });
+
+    var testPublicAPI = new Y.Test.Case( {
+        testCollapseAndExpandAll: function(){
+            var _items = _that._accordion.get( "items" );
+
+            _that._accordion.collapseAll( { skipAnimation: true } );
+
+            Y.Array.each( _items, function( _item ) {
+                Y.Assert.areSame( false, _item.get( "expanded" ), "The item must be collapsed" );
+            });
+
+            Y.Assert.areSame( false, _that._accordion.collapseAll(), "There must be nothing to collapse" );
+
+            _that._accordion.expandAll( { skipAnimation: true } );
+
+            Y.Array.each( _items, function( _item ) {
+                Y.Assert.areSame( true, _item.get( "expanded" ), "The item must be expanded" );
+            });
+        },
+
+        testExpandCollapseToggle: function(){
+            var _item0, _item1;
+
+            _item0 = _that._accordion.getItem( 0 );
+            _item1 = _that._accordion.getItem( 1 );
+
+            Y.Assert.areSame( true, _that._accordion.collapseItem( 0, { skipAnimation: true } ), "Item0 must be collapsed" );
+            Y.Assert.areSame( false, _that._accordion.collapseItem( _item0 ), "Item0 is already collapsed" );
+
+            Y.Assert.areSame( true, _that._accordion.expandItem( _item0, { skipAnimation: true, collapseOthers: false } ), "Item0 must be expanded" );
+            Y.Assert.areSame( true, _item1.get( "expanded" ), "Item1 must stay expanded" );
+
+            _that._accordion.toggleItem( 0, { skipAnimation: true } );
+            Y.Assert.areSame( false, _item0.get( "expanded" ), "Item0 must be toggled to collapsed" );
+
+            Y.Assert.areSame( false, _that._accordion.expandItem( 100 ), "There is no such item" );
+        }
+    });
+
+    var testVetoEvents = new Y.Test.Case( {
+        testVetoExpand: function(){
+            var _item0, _handle;
+
+            _item0 = _that._accordion.getItem( 0 );
+            _that._accordion.collapseItem( _item0, { skipAnimation: true } );
+
+            _handle = _that._accordion.on( "beforeItemExpand", function( e ){
+                return false;
+            });
+
+            Y.Assert.areSame( false, _that._accordion.expandItem( _item0 ), "Expanding must be cancelled" );
+
+            _item0.set( "expanded", true );
+            Y.Assert.areSame( false, _item0.get( "expanded" ), "Expanded must be restored" );
+            Y.Assert.areSame( false, _item0.isMarkedAsExpanded(), "The icon must show collapsed item" );
+
+            _item0.set( "alwaysVisible", true );
+            Y.Assert.areSame( false, _item0.get( "alwaysVisible" ), "Always visible must be restored" );
+
+            _handle.detach();
+        },
+
+        testVetoCollapse: function(){
+            var _item0, _handle;
+
+            _item0 = _that._accordion.getItem( 0 );
+            _that._accordion.expandItem( _item0, { skipAnimation: true } );
+
+            _handle = _that._accordion.on( "beforeItemCollapse", function( e ){
+                return e.item !== _item0;
+            });
+
+            _item0.set( "expanded", false );
+            Y.Assert.areSame( true, _item0.get( "expanded" ), "Expanded must be restored" );
+            Y.Assert.areSame( true, _item0.isMarkedAsExpanded(), "The icon must show expanded item" );
+
+            _handle.detach();
+        },
+
+        testVetoPreventsAttributeChange: function(){
+            var _item0, _handle, _changes = 0, _changeHandle;
+
+            _item0 = _that._accordion.getItem( 0 );
+            _that._accordion.expandItem( _item0, { skipAnimation: true } );
+
+            _handle = _that._accordion.on( "beforeItemCollapse", function( e ){
+                return false;
+            });
+
+            _changeHandle = _item0.after( "expandedChange", function( e ){
+                _changes++;
+            });
+
+            _item0.set( "expanded", false );
+
+            Y.Assert.areSame( 0, _changes, "After listeners must not be notified about vetoed change" );
+            Y.Assert.areSame( true, _item0.get( "expanded" ), "The item must stay expanded" );
+
+            _handle.detach();
+            _changeHandle.detach();
+        }
+    });
+
+    var testNestedAccordion = new Y.Test.Case( {
+        testParentItemFollowsNestedAccordion: function(){
+            var _outerItem, _innerAccordion, _innerItem, _body;
+
+            _outerItem = new Y.AccordionItem( {
+                label: "Item with nested accordion",
+                expanded: true
+            } );
+
+            _that._accordion.addItem( _outerItem );
+
+            _body = _outerItem.getStdModNode( Y.WidgetStdMod.BODY );
+            _body.set( "innerHTML", "" );
+
+            _innerAccordion = new Y.Accordion( {
+                useAnimation: false
+            });
+
+            _innerAccordion.render( _body );
+
+            _innerItem = new Y.AccordionItem( {
+                label: "Nested item",
+                bodyContent: '<div style="height: 100px;">Nested content</div>'
+            } );
+
+            _innerAccordion.addItem( _innerItem );
+            _innerItem.set( "expanded", true );
+
+            this.wait( function(){
+                var _innerHeight, _bodyHeight;
+
+                _innerHeight = _innerAccordion.get( "boundingBox" ).get( "offsetHeight" );
+                _bodyHeight = _body.get( "offsetHeight" );
+
+                Y.Assert.isTrue( Math.abs( _innerHeight - _bodyHeight ) <= 1, "The parent item must follow the height of nested accordion" );
+
+                _that._accordion.removeItem( _outerItem );
+                _innerAccordion.destroy();
+                _outerItem.destroy();
+            }, 1500 );
+        },
+
+        _createNested: function(){
+            var outerItem, body;
+
+            this._outer = createAccordion();
+
+            outerItem = new Y.AccordionItem( {
+                label: "Outer",
+                expanded: true,
+                contentHeight: {
+                    method: "auto"
+                }
+            });
+
+            this._outer.addItem( outerItem );
+
+            body = outerItem.getStdModNode( Y.WidgetStdMod.BODY );
+            body.set( "innerHTML", "" );
+
+            this._inner = new Y.Accordion( {
+                useAnimation: false
+            });
+
+            this._inner.render( body );
+
+            this._inner.addItem( new Y.AccordionItem( {
+                label: "Inner",
+                expanded: true,
+                contentHeight: {
+                    method: "stretch"
+                }
+            }) );
+
+            this._resized = 0;
+
+            this._inner.after( "itemResized", function(){
+                this._resized++;
+            }, this );
+
+            return outerItem;
+        },
+
+        _destroyNested: function(){
+            this._inner.destroy();
+            destroyAccordion( this._outer );
+        },
+
+        testNoResizeLoop: function(){
+            var _outerItem, _afterFirst;
+
+            _outerItem = this._createNested();
+
+            this._outer.fire( "itemResized", { 'item': _outerItem } );
+            _afterFirst = this._resized;
+
+            this._outer.fire( "itemResized", { 'item': _outerItem } );
+            Y.Assert.areSame( _afterFirst, this._resized, "Nested Accordion must not be adjusted again if its size is the same" );
+
+            this._destroyNested();
+        },
+
+        testParentBodyOffsetChange: function(){
+            var _outerItem, _innerBody, _body;
+
+            _outerItem = this._createNested();
+            _outerItem.set( "contentHeight", { method: "fixed", height: 200 } );
+            _body = _outerItem.getStdModNode( Y.WidgetStdMod.BODY );
+
+            this._inner.get( "boundingBox" ).setStyle( "height", "100px" );
+            this._outer.fire( "itemResized", { 'item': _outerItem } );
+
+            _innerBody = this._inner.getItem( 0 ).getStdModNode( Y.WidgetStdMod.BODY );
+            _innerBody.setStyle( "height", "1px" );
+
+            _body.insertBefore( Y.Node.create( '<div style="height: 20px;">Above</div>' ), this._inner.get( "boundingBox" ) );
+            this._outer.fire( "itemResized", { 'item': _outerItem } );
+
+            Y.Assert.isTrue( _innerBody.get( "offsetHeight" ) > 1, "Nested Accordion must be adjusted again if its offset in the parent body has changed" );
+
+            this._destroyNested();
+        }
+    });
+
+    var testHorizontalOrientation = new Y.Test.Case( {
+        testExpandInWidth: function(){
+            var _container, _accordion, _item1, _item2;
+
+            _container = Y.Node.create( '<div style="width: 400px; height: 200px;"></div>' );
+            Y.get( "body" ).appendChild( _container );
+
+            _accordion = new Y.Accordion( {
+                orientation: "horizontal",
+                useAnimation: false
+            });
+
+            _accordion.render( _container );
+
+            _item1 = new Y.AccordionItem( {
+                label: "Horizontal 1",
+                expanded: true,
+                contentHeight: {
+                    method: "fixed",
+                    height: 100
+                }
+            } );
+
+            _item2 = new Y.AccordionItem( {
+                label: "Horizontal 2",
+                contentHeight: {
+                    method: "fixed",
+                    height: 100
+                }
+            } );
+
+            _accordion.addItem( _item1 );
+            _accordion.addItem( _item2 );
+
+            Y.Assert.isTrue( _accordion.get( "boundingBox" ).hasClass( "yui-accordion-horizontal" ), "The accordion must be horizontal" );
+            Y.Assert.areEqual( "100px", _item1.getStdModNode( Y.WidgetStdMod.BODY ).getStyle( "width" ), "Item1 must be expanded in width" );
+
+            _accordion.expandItem( _item2 );
+
+            Y.Assert.areEqual( "100px", _item2.getStdModNode( Y.WidgetStdMod.BODY ).getStyle( "width" ), "Item2 must be expanded in width" );
+
+            _accordion.destroy();
+            _container.remove();
+        }
+    });
+
+    var testLazyContent = new Y.Test.Case( {
+        testLoadOnFirstExpand: function(){
+            var _item, _requests = 0;
+
+            _item = new Y.AccordionItem( {
+                label: "Lazy item",
+                contentSource: "lazycontent.html",
+                io: function( uri, config ){
+                    _requests++;
+                    config.on.success( 0, {
+                        responseText: '<div id="lazyContent">Loaded content</div>'
+                    });
+                }
+            } );
+
+            _that._accordion.addItem( _item );
+            Y.Assert.areEqual( 0, _requests, "Collapsed item must not load its content" );
+
+            _that._accordion.expandItem( _item, { skipAnimation: true } );
+            Y.Assert.areEqual( 1, _requests, "The content must be requested on expanding" );
+            Y.Assert.areEqual( "loaded", _item.get( "contentState" ), "The content must be loaded" );
+            Y.Assert.isNotNull( Y.get( "#lazyContent" ), "The content must be placed in the body" );
+
+            _that._accordion.collapseItem( _item, { skipAnimation: true } );
+            _that._accordion.expandItem( _item, { skipAnimation: true } );
+            Y.Assert.areEqual( 1, _requests, "The content must be requested only once" );
+
+            _that._accordion.removeItem( _item );
+            _item.destroy();
+        },
+
+        testFailureAndRetry: function(){
+            var _item, _fail = true, _errorEvents = 0, _handle;
+
+            _item = new Y.AccordionItem( {
+                label: "Lazy item, failing",
+                contentSource: "failingcontent.html",
+                io: function( uri, config ){
+                    if( _fail ){
+                        config.on.failure( 0, {
+                            statusText: "Not Found"
+                        });
+                    } else {
+                        config.on.success( 0, {
+                            responseText: "Content after retry"
+                        });
+                    }
+                }
+            } );
+
+            _handle = _that._accordion.on( "itemContentError", function( e ){
+                _errorEvents++;
+                Y.Assert.areSame( _item, e.item, "The event must be fired for the failed item" );
+                Y.Assert.areEqual( "Not Found", e.error, "The error message must be provided" );
+            });
+
+            _that._accordion.addItem( _item );
+            _that._accordion.expandItem( _item, { skipAnimation: true } );
+
+            Y.Assert.areEqual( 1, _errorEvents, "itemContentError must be fired" );
+            Y.Assert.areEqual( "error", _item.get( "contentState" ), "The content state must be error" );
+            Y.Assert.isNotNull( _item.getStdModNode( Y.WidgetStdMod.BODY ).query( ".yui-accordion-item-errormessage" ), "The error message must be shown" );
+            Y.Assert.isFalse( _item.get( "iconRetry" ).hasClass( "yui-accordion-item-iconretry-hidden" ), "Retry icon must be shown" );
+
+            _fail = false;
+            Y.Event.simulate( Y.Node.getDOMNode( _item.get( "iconRetry" ) ), "click" );
+
+            Y.Assert.areEqual( "loaded", _item.get( "contentState" ), "The content must be loaded after retry" );
+            Y.Assert.isTrue( _item.get( "iconRetry" ).hasClass( "yui-accordion-item-iconretry-hidden" ), "Retry icon must be hidden" );
+            Y.Assert.areSame( true, _item.get( "expanded" ), "Retry must not toggle the item" );
+
+            _handle.detach();
+            _that._accordion.removeItem( _item );
+            _item.destroy();
+        },
+
+        testAsyncFunctionSource: function(){
+            var _item, _callback;
+
+            _item = new Y.AccordionItem( {
+                label: "Lazy item, function source",
+                contentSource: function( item, callback ){
+                    _callback = callback;
+                }
+            } );
+
+            _that._accordion.addItem( _item );
+            _that._accordion.expandItem( _item, { skipAnimation: true } );
+
+            Y.Assert.areEqual( "loading", _item.get( "contentState" ), "The content must be loading" );
+            Y.Assert.isTrue( _item.get( "boundingBox" ).hasClass( "yui-accordion-item-loading" ), "The item must be marked as loading" );
+
+            _callback.success( "Content from function" );
+
+            Y.Assert.areEqual( "loaded", _item.get( "contentState" ), "The content must be loaded" );
+            Y.Assert.isFalse( _item.get( "boundingBox" ).hasClass( "yui-accordion-item-loading" ), "The item must be not marked as loading" );
+
+            _that._accordion.removeItem( _item );
+            _item.destroy();
+        }
+    });
+
+    var testPersistence = new Y.Test.Case( {
+        _createStorage: function( stored ){
+            return {
+                read: function( key ){
+                    return stored[ key ] || null;
+                },
+
+                write: function( key, value ){
+                    stored[ key ] = value;
+                }
+            };
+        },
+
+        /**
+         * Creates an Accordion from markup with two items, "pitem1" (expanded) and "pitem2"
+         */
+        _createFromMarkup: function( storage ){
+            return createAccordion( new Y.Accordion( {
+                useAnimation: false,
+                contentBox: Y.Node.create( [
+                    '<div>',
+                        '<div id="pitem1" class="yui-accordion-item" yuiConfig=\'{"expanded":true}\'>',
+                            '<div class="yui-widget-hd"></div><div class="yui-widget-bd">Item 1</div>',
+                        '</div>',
+                        '<div id="pitem2" class="yui-accordion-item">',
+                            '<div class="yui-widget-hd"></div><div class="yui-widget-bd">Item 2</div>',
+                        '</div>',
+                    '</div>'
+                ].join( '' ) ),
+                persistence: {
+                    key: "persistedacc",
+                    storage: storage
+                }
+            }) );
+        },
+
+        testRestoreAndSave: function(){
+            var _accordion, _items, _stored;
+
+            _stored = {
+                "persistedacc": '{"order":["pitem2","pitem1"],"items":{"pitem1":{"expanded":false,"alwaysVisible":false},"pitem2":{"expanded":true,"alwaysVisible":false}}}'
+            };
+
+            _accordion = this._createFromMarkup( this._createStorage( _stored ) );
+
+            _items = _accordion.get( "items" );
+
+            Y.Assert.areEqual( "pitem2", _items[0].get( "key" ), "The stored order must be restored" );
+            Y.Assert.areSame( true, _items[0].get( "expanded" ), "Item 2 must be expanded" );
+            Y.Assert.areSame( false, _items[1].get( "expanded" ), "Item 1 must be collapsed" );
+
+            _accordion.expandItem( _items[1] );
+
+            Y.Assert.areEqual( '{"order":["pitem2","pitem1"],"items":{"pitem1":{"expanded":true,"alwaysVisible":false},"pitem2":{"expanded":false,"alwaysVisible":false}}}',
+                _stored.persistedacc, "The new state must be stored" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testPinExpandedItem: function(){
+            var _accordion, _item, _stored = {};
+
+            _accordion = this._createFromMarkup( this._createStorage( _stored ) );
+            _item = _accordion.getItem( 0 );
+
+            Y.Assert.areSame( true, _item.get( "expanded" ), "Item 1 must be expanded" );
+
+            Y.Event.simulate( Y.Node.getDOMNode( _item.get( "iconAlwaysVisible" ) ), "click" );
+            Y.Assert.areSame( true, _item.get( "alwaysVisible" ), "Click on always visible icon must pin the item" );
+
+            destroyAccordion( _accordion );
+
+            _accordion = this._createFromMarkup( this._createStorage( _stored ) );
+            _item = _accordion.getItem( 0 );
+
+            Y.Assert.areEqual( "pitem1", _item.get( "key" ), "The order must be kept" );
+            Y.Assert.areSame( true, _item.get( "alwaysVisible" ), "The pin of an expanded item must be restored" );
+
+            _item.set( "alwaysVisible", false );
+
+            destroyAccordion( _accordion );
+
+            _accordion = this._createFromMarkup( this._createStorage( _stored ) );
+
+            Y.Assert.areSame( false, _accordion.getItem( 0 ).get( "alwaysVisible" ), "The unpin of an expanded item must be restored" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testLaterAddedItemNotRestored: function(){
+            var _accordion, _item, _stored;
+
+            _stored = {
+                "persistedacc": '{"order":["pitem1"],"items":{"pitem1":{"expanded":true,"alwaysVisible":false}}}'
+            };
+
+            _accordion = createAccordion( {
+                persistence: {
+                    key: "persistedacc",
+                    storage: this._createStorage( _stored )
+                }
+            });
+
+            _item = new Y.AccordionItem( {
+                key: "pitem1",
+                label: "Item 1",
+                bodyContent: "Item 1"
+            });
+
+            _accordion.addItem( _item );
+
+            Y.Assert.areSame( false, _item.get( "expanded" ), "The stored state must be restored during the initial render only" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testThrowingStorage: function(){
+            var _accordion, _items, _storage;
+
+            _storage = {
+                read: function( key ){
+                    throw new Error( "SecurityError" );
+                },
+
+                write: function( key, value ){
+                    throw new Error( "QuotaExceededError" );
+                }
+            };
+
+            _accordion = this._createFromMarkup( _storage );
+
+            _items = _accordion.get( "items" );
+
+            Y.Assert.areEqual( 2, _items.length, "Accordion must render its items without saved state" );
+            Y.Assert.areSame( true, _items[0].get( "expanded" ), "Item 1 must keep its own state" );
+
+            _accordion.expandItem( _items[1] );
+
+            Y.Assert.areSame( true, _items[1].get( "expanded" ), "Failed write must not break expanding" );
+
+            destroyAccordion( _accordion );
+        }
+    });
+
+    var testSerialization = new Y.Test.Case( {
+        testToJSONAndFromJSON: function(){
+            var _accordion, _copy, _json, _items;
+
+            _accordion = createAccordion( {
+                items: [
+                    {
+                        label: "Serialized 1",
+                        bodyContent: "Body 1",
+                        closable: true,
+                        animation: {
+                            duration: 0.5,
+                            easing: "easeIn"
+                        }
+                    },
+                    {
+                        label: "Serialized 2",
+                        bodyContent: "Body 2",
+                        expanded: true,
+                        contentHeight: {
+                            method: "fixed",
+                            height: 80
+                        }
+                    }
+                ]
+            });
+
+            _items = _accordion.get( "items" );
+
+            Y.Assert.areEqual( 2, _items.length, "The items from the config must be added" );
+            Y.Assert.areSame( Y.Easing.easeIn, _items[0].get( "animation" ).easing, "The easing name must be resolved" );
+
+            _json = Y.JSON.stringify( _accordion.toJSON() );
+            destroyAccordion( _accordion );
+
+            _copy = Y.Accordion.fromJSON( _json );
+            _copy.set( "useAnimation", false );
+            createAccordion( _copy );
+
+            _items = _copy.get( "items" );
+
+            Y.Assert.areEqual( 2, _items.length, "The copy must have 2 items" );
+            Y.Assert.areEqual( "Serialized 2", _items[1].get( "label" ), "The order must be preserved" );
+            Y.Assert.areSame( true, _items[0].get( "closable" ), "Closable must be restored" );
+            Y.Assert.areSame( true, _items[1].get( "expanded" ), "Expanded must be restored" );
+            Y.Assert.areEqual( 80, _items[1].get( "contentHeight" ).height, "Content height must be restored" );
+            Y.Assert.areEqual( "easeIn", _items[0].toJSON().animation.easing, "The easing must be serialized by name" );
+            Y.Assert.areEqual( "Body 2", _items[1].getStdModNode( Y.WidgetStdMod.BODY ).get( "innerHTML" ), "The body must be restored" );
+
+            destroyAccordion( _copy );
+        }
+    });
+
+    var testMoveItem = new Y.Test.Case( {
+        testMoveAndVeto: function(){
+            var _accordion, _items, _item, _handle, _reordered = 0;
+
+            _accordion = createAccordion( {
+                items: [
+                    { label: "Move 1" },
+                    { label: "Move 2" },
+                    { label: "Move 3" }
+                ]
+            });
+
+            _accordion.after( "itemReordered", function(){
+                _reordered++;
+            });
+
+            _item = _accordion.getItem( 0 );
+
+            Y.Assert.isTrue( _accordion.moveItem( _item, 2 ), "The item must be moved" );
+
+            _items = _accordion.get( "items" );
+            Y.Assert.areSame( _item, _items[2], "The item must be the last one" );
+            Y.Assert.areSame( _item.get( "boundingBox" ), _accordion.get( "contentBox" ).get( "lastChild" ), "The bounding box must be moved" );
+            Y.Assert.areEqual( 1, _reordered, "itemReordered must be fired" );
+
+            _handle = _accordion.on( "beforeItemReorder", function(){
+                return false;
+            });
+
+            Y.Assert.isFalse( _accordion.moveItem( _item, 0 ), "Moving must be vetoed" );
+            Y.Assert.areEqual( 2, _accordion.getItemIndex( _item ), "The item must stay at its place" );
+
+            _handle.detach();
+
+            Y.Event.simulate( Y.Node.getDOMNode( _item.getStdModNode( Y.WidgetStdMod.HEADER ) ), "keydown", {
+                keyCode: 38,
+                ctrlKey: true
+            });
+
+            Y.Assert.areEqual( 1, _accordion.getItemIndex( _item ), "Ctrl + Up must move the item before" );
+
+            destroyAccordion( _accordion );
+        }
+    });
+
+    var testTransferItem = new Y.Test.Case( {
+        setUp: function(){
+            this._source = createAccordion( {
+                transferGroups: [ "shared" ],
+                items: [
+                    { label: "Source 1" },
+                    { label: "Source 2" },
+                    { label: "Source 3" }
+                ]
+            });
+
+            this._target = createAccordion( {
+                transferGroups: [ "shared" ],
+                items: [
+                    { label: "Target 1" }
+                ]
+            });
+        },
+
+        tearDown: function(){
+            destroyAccordion( this._source );
+            destroyAccordion( this._target );
+        },
+
+        testTransferBetweenAccordions: function(){
+            var _source = this._source, _target = this._target, _item, _transferred = 0;
+
+            _target.after( "itemTransferred", function( e ){
+                _transferred++;
+                Y.Assert.areSame( _source, e.source, "The source must be provided" );
+            });
+
+            _item = _source.getItem( 1 );
+
+            Y.Assert.isTrue( _source.transferItem( _item, _target, 0 ), "The item must be transferred" );
+            Y.Assert.areEqual( 2, _source.get( "items" ).length, "The item must be removed from the source" );
+            Y.Assert.areSame( _item, _target.getItem( 0 ), "The item must be the first one in the target" );
+            Y.Assert.areSame( _target.get( "contentBox" ), _item.get( "boundingBox" ).get( "parentNode" ), "The item must be moved in the DOM" );
+            Y.Assert.areEqual( 1, _transferred, "itemTransferred must be fired" );
+
+            _target.on( "beforeItemTransfer", function(){
+                return false;
+            });
+
+            Y.Assert.isFalse( _source.transferItem( 0, _target ), "The transfer must be vetoed by the target" );
+            Y.Assert.areEqual( 2, _source.get( "items" ).length, "The item must stay in the source" );
+        },
+
+        testTargetVetoesItemAdd: function(){
+            var _source = this._source, _target = this._target, _item, _transferred = 0;
+
+            _target.on( "beforeItemAdd", function(){
+                return false;
+            });
+
+            _source.after( "itemTransferred", function(){
+                _transferred++;
+            });
+
+            _item = _source.getItem( 1 );
+
+            Y.Assert.isFalse( _source.transferItem( _item, _target, 0 ), "The transfer must fail" );
+            Y.Assert.areEqual( 3, _source.get( "items" ).length, "The item must not be lost" );
+            Y.Assert.areEqual( 1, _source.getItemIndex( _item ), "The item must be back at its original index" );
+            Y.Assert.areSame( _source.getItem( 2 ).get( "boundingBox" ), _item.get( "boundingBox" ).next(), "The item must be back at its original place in the DOM" );
+            Y.Assert.areEqual( 1, _target.get( "items" ).length, "The target must not get the item" );
+            Y.Assert.areEqual( 0, _transferred, "itemTransferred must not be fired" );
+        }
+    });
+
+    var testDropPosition = new Y.Test.Case( {
+        testBeforeAndAfterHeader: function(){
+            var _accordion, _item, _header, _targetRegion, _start, _marker, _doc, _reorderStarted = 0;
+
+            _accordion = createAccordion( {
+                reorderItems: true,
+                items: [
+                    { label: "Drop 1" },
+                    { label: "Drop 2" },
+                    { label: "Drop 3" }
+                ]
+            });
+
+            _accordion.on( "beforeItemReorder", function(){
+                _reorderStarted++;
+            });
+
+            _doc = Y.get( "document" );
+            _item = _accordion.getItem( 0 );
+            _header = _item.getStdModNode( Y.WidgetStdMod.HEADER );
+            _start = _header.get( "region" );
+            _start = [ _start.left + 10, _start.top + 5 ];
+            _targetRegion = _accordion.getItem( 2 ).getStdModNode( Y.WidgetStdMod.HEADER ).get( "region" );
+
+            simulateMouse( _header, "mousedown", _start );
+            simulateMouse( _doc, "mousemove", [ _start[0], _start[1] + 10 ] );
+            simulateMouse( _doc, "mousemove", [ _targetRegion.left + 10, _targetRegion.top + 1 ] );
+
+            Y.Assert.areEqual( 1, _reorderStarted, "Dragging the header must start reordering" );
+
+            _marker = Y.get( ".yui-accordion-dropmarker" );
+
+            Y.Assert.isNotNull( _marker, "The marker must be created" );
+            Y.Assert.isTrue( _marker.hasClass( "yui-accordion-dropmarker-visible" ), "The marker must be visible" );
+            Y.Assert.areEqual( _accordion.getItem( 2 ).get( "boundingBox" ).get( "region" ).top, _marker.getXY()[1],
+                "The item must be dropped before the target, the marker must be placed before the third item" );
+
+            simulateMouse( _doc, "mousemove", [ _targetRegion.left + 10, _targetRegion.bottom - 1 ] );
+
+            Y.Assert.areEqual( _accordion.getItem( 2 ).get( "boundingBox" ).get( "region" ).bottom, _marker.getXY()[1],
+                "The item must be dropped after the target, the marker must be placed after the third item" );
+
+            simulateMouse( _doc, "mouseup", [ _targetRegion.left + 10, _targetRegion.bottom - 1 ] );
+
+            Y.Assert.isFalse( _marker.hasClass( "yui-accordion-dropmarker-visible" ), "The marker must be hidden after the drop" );
+            Y.Assert.areEqual( 2, _accordion.getItemIndex( _item ), "The item must be the last one" );
+
+            destroyAccordion( _accordion );
+        }
+    });
+
+    var testTouch = new Y.Test.Case( {
+        setUp: function(){
+            this._accordion = createAccordion( {
+                items: [
+                    { label: "Touch 1" },
+                    { label: "Touch 2" }
+                ]
+            });
+        },
+
+        tearDown: function(){
+            destroyAccordion( this._accordion );
+        },
+
+        /*
+         * Dispatches a touch event with one touch point on a node.
+         * Returns false if the default action of the event has been prevented.
+         */
+        _touch: function( node, type, x, y ){
+            var _event, _touches;
+
+            _touches = [ { pageX: x, pageY: y, target: Y.Node.getDOMNode( node ) } ];
+
+            _event = Y.config.doc.createEvent( "Event" );
+            _event.initEvent( type, true, true );
+            _event.touches = ( type === "touchend" ) ? [] : _touches;
+            _event.changedTouches = _touches;
+
+            return Y.Node.getDOMNode( node ).dispatchEvent( _event );
+        },
+
+        testListeners: function(){
+            var _header, _domEvents, _accordion;
+
+            _header = this._accordion.getItem( 0 ).getStdModNode( Y.WidgetStdMod.HEADER );
+
+            _domEvents = Y.merge( Y.Node.DOM_EVENTS );
+            _accordion = createAccordion();
+
+            Y.Array.each( [ "touchstart", "touchmove", "touchend", "touchcancel" ], function( type ){
+                Y.Assert.areSame( _domEvents[ type ], Y.Node.DOM_EVENTS[ type ], "Accordion must not change the shared list of DOM events" );
+            });
+
+            destroyAccordion( _accordion );
+
+            this._touch( _header, "touchstart", 10, 10 );
+            this._touch( _header, "touchcancel", 10, 10 );
+            this._touch( _header, "touchend", 10, 10 );
+
+            Y.Assert.areSame( false, this._accordion.getItem( 0 ).get( "expanded" ), "Cancelled gesture must not toggle the item" );
+        },
+
+        testTapAndSwipe: function(){
+            var _item, _header;
+
+            _item = this._accordion.getItem( 0 );
+            _header = _item.getStdModNode( Y.WidgetStdMod.HEADER );
+
+            this._touch( _header, "touchstart", 10, 10 );
+
+            Y.Assert.isFalse( this._touch( _header, "touchend", 12, 11 ), "The emulated click must be prevented" );
+            Y.Assert.areSame( true, _item.get( "expanded" ), "Tap must expand the item" );
+
+            this._touch( _header, "touchstart", 10, 10 );
+            this._touch( _header, "touchmove", 80, 12 );
+            this._touch( _header, "touchend", 100, 12 );
+
+            Y.Assert.areSame( true, _item.get( "alwaysVisible" ), "Swipe must set the item as always visible" );
+        },
+
+        testVerticalScroll: function(){
+            var _item, _header, _reorderStarted = 0;
+
+            _item = this._accordion.getItem( 0 );
+            _header = _item.getStdModNode( Y.WidgetStdMod.HEADER );
+
+            this._accordion.on( "beforeItemReorder", function(){
+                _reorderStarted++;
+            });
+
+            Y.Assert.isTrue( this._touch( _header, "touchstart", 10, 10 ), "touchstart must not be prevented" );
+            Y.Assert.isTrue( this._touch( _header, "touchmove", 12, 60 ), "Vertical move must scroll the page" );
+            Y.Assert.isTrue( this._touch( _header, "touchmove", 12, 120 ), "Vertical move must scroll the page" );
+
+            this.wait( function(){
+                Y.Assert.areEqual( 0, _reorderStarted, "Scrolling must not start reordering" );
+                Y.Assert.isTrue( this._touch( _header, "touchend", 12, 120 ), "touchend after scrolling must not be prevented" );
+                Y.Assert.areSame( false, _item.get( "expanded" ), "Scrolling must not toggle the item" );
+                Y.Assert.areSame( false, _item.get( "alwaysVisible" ), "Scrolling must not be taken as swipe" );
+            }, 600 );
+        }
+    });
+
+    var testWeightedStretch = new Y.Test.Case( {
+        testWeightAndLimits: function(){
+            var _accordion, _item1, _item2, _item3, _available;
+
+            function bodyHeight( item ){
+                return item.getStdModNode( Y.WidgetStdMod.BODY ).get( "offsetHeight" );
+            }
+
+            _accordion = createAccordion( {
+                collapseOthersOnExpand: false,
+                items: [
+                    { label: "Weight 1", expanded: true, contentHeight: { method: "stretch" } },
+                    { label: "Weight 2", expanded: true, contentHeight: { method: "stretch", weight: 2 } },
+                    { label: "Max 50", expanded: true, contentHeight: { method: "stretch", weight: 3, max: 50 } }
+                ]
+            }, "height: 600px;" );
+
+            _item1 = _accordion.getItem( 0 );
+            _item2 = _accordion.getItem( 1 );
+            _item3 = _accordion.getItem( 2 );
+
+            _available = bodyHeight( _item1 ) + bodyHeight( _item2 ) + bodyHeight( _item3 );
+
+            Y.Assert.areEqual( 50, bodyHeight( _item3 ), "Item3 must be limited to its max" );
+            Y.Assert.isTrue( Math.abs( 2 * bodyHeight( _item1 ) - bodyHeight( _item2 ) ) <= 1, "Item2 must get twice more than item1" );
+
+            _item1.set( "contentHeight", { method: "stretch", min: _available } );
+
+            Y.Assert.areEqual( _available, bodyHeight( _item1 ), "Item1 must get its min height" );
+            Y.Assert.areEqual( 0, bodyHeight( _item2 ), "Item2 must get the rest of the space" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testParseFromClass: function(){
+            var _item, _contentHeight;
+
+            _item = new Y.AccordionItem( {
+                contentBox: Y.Node.create( '<div class="yui-accordion-item yui-accordion-item-contentheight-stretch-w2-min100-max400"></div>' )
+            });
+
+            _contentHeight = _item.get( "contentHeight" );
+
+            Y.Assert.areEqual( "stretch", _contentHeight.method, "The method must be parsed" );
+            Y.Assert.areEqual( 2, _contentHeight.weight, "The weight must be parsed" );
+            Y.Assert.areEqual( 100, _contentHeight.min, "The min height must be parsed" );
+            Y.Assert.areEqual( 400, _contentHeight.max, "The max height must be parsed" );
+
+            _item.destroy();
+        }
+    });
+
+    var testResizableItems = new Y.Test.Case( {
+        setUp: function(){
+            this._accordion = createAccordion( {
+                resizableItems: true,
+                collapseOthersOnExpand: false,
+                items: [
+                    { label: "Resizable 1", expanded: true, contentHeight: { method: "fixed", height: 100 } },
+                    { label: "Resizable 2", expanded: true, contentHeight: { method: "stretch" } },
+                    { label: "Resizable 3" }
+                ]
+            }, "height: 400px;" );
+        },
+
+        tearDown: function(){
+            destroyAccordion( this._accordion );
+        },
+
+        testResizeAndVeto: function(){
+            var _accordion = this._accordion, _item, _resized = 0, _height = 0, _handle;
+
+            _item = _accordion.getItem( 0 );
+
+            Y.Assert.isNotNull( _item.get( "boundingBox" ).query( ".yui-accordion-splitter" ), "The item must have a splitter" );
+            Y.Assert.isTrue( _accordion.getItem( 2 ).get( "boundingBox" ).query( ".yui-accordion-splitter" ).hasClass( "yui-accordion-splitter-hidden" ),
+                "The splitter of collapsed item must be hidden" );
+
+            _accordion.after( "itemResized", function( e ){
+                if( e.userResize ){
+                    _resized++;
+                    _height = e.height;
+                }
+            });
+
+            Y.Assert.isTrue( _accordion.resizeItem( _item, 150 ), "The item must be resized" );
+            Y.Assert.areEqual( 1, _resized, "itemResized must be fired" );
+            Y.Assert.areEqual( 150, _height, "The new height must be provided" );
+            Y.Assert.areEqual( 150, _item.get( "contentHeight" ).height, "The item must become fixed with the new height" );
+
+            _handle = _accordion.on( "beforeItemResized", function( e ){
+                if( e.userResize ){
+                    return false;
+                }
+            });
+
+            Y.Assert.isFalse( _accordion.resizeItem( _item, 50 ), "Resizing must be vetoed" );
+            Y.Assert.areEqual( "150px", _item.getStdModNode( Y.WidgetStdMod.BODY ).getStyle( "height" ), "The height must be restored" );
+
+            _handle.detach();
+        },
+
+        testDragSplitter: function(){
+            var _accordion = this._accordion, _item, _splitter, _start, _startHeight, _height = -1;
+
+            _item = _accordion.getItem( 0 );
+            _splitter = _item.get( "boundingBox" ).query( ".yui-accordion-splitter" );
+            _startHeight = _item.getStdModNode( Y.WidgetStdMod.BODY ).get( "offsetHeight" );
+
+            _accordion.after( "itemResized", function( e ){
+                if( e.userResize ){
+                    _height = e.height;
+                }
+            });
+
+            _start = _splitter.getXY();
+
+            simulateMouse( _splitter, "mousedown", _start );
+            simulateMouse( Y.get( "document" ), "mousemove", [ _start[0], _start[1] + 10 ] );
+            simulateMouse( Y.get( "document" ), "mousemove", [ _start[0], _start[1] + 30 ] );
+            simulateMouse( Y.get( "document" ), "mouseup", [ _start[0], _start[1] + 30 ] );
+
+            Y.Assert.areEqual( _startHeight + 30, _height, "The item must be resized by the dragged distance" );
+            Y.Assert.areEqual( _startHeight + 30, _item.get( "contentHeight" ).height, "The new height must be stored" );
+        },
+
+        testResizeStretchItem: function(){
+            var _accordion, _item, _body, _otherBody, _total, _height = -1;
+
+            _accordion = createAccordion( {
+                resizableItems: true,
+                collapseOthersOnExpand: false,
+                items: [
+                    { label: "Stretch 1", expanded: true, contentHeight: { method: "stretch" } },
+                    { label: "Stretch 2", expanded: true, contentHeight: { method: "stretch" } }
+                ]
+            }, "height: 400px;" );
+
+            _item = _accordion.getItem( 0 );
+            _body = _item.getStdModNode( Y.WidgetStdMod.BODY );
+            _otherBody = _accordion.getItem( 1 ).getStdModNode( Y.WidgetStdMod.BODY );
+            _total = _body.get( "offsetHeight" ) + _otherBody.get( "offsetHeight" );
+
+            _accordion.after( "itemResized", function( e ){
+                if( e.userResize ){
+                    _height = e.height;
+                }
+            });
+
+            _accordion.resizeItem( _item, _body.get( "offsetHeight" ) + 50 );
+
+            Y.Assert.areEqual( "stretch", _item.get( "contentHeight" ).method, "The item must stay a stretch item" );
+            Y.Assert.isTrue( Math.abs( _body.get( "offsetHeight" ) - _height ) <= 1, "The reported height must be the height of the body" );
+            Y.Assert.isTrue( Math.abs( _total / 2 + 50 - _height ) <= 1, "The item must get the dragged height" );
+            Y.Assert.isTrue( Math.abs( _total - _body.get( "offsetHeight" ) - _otherBody.get( "offsetHeight" ) ) <= 1,
+                "The other stretch item must get the rest of the space" );
+
+            _accordion.resizeItem( _item, _total + 50 );
+
+            Y.Assert.isTrue( _height < _total, "The item must not take the whole space of the stretch items" );
+            Y.Assert.isTrue( Math.abs( _body.get( "offsetHeight" ) - _height ) <= 1, "The reported height must be the limited height" );
+
+            destroyAccordion( _accordion );
+        }
+    });
+
+    var testContentResync = new Y.Test.Case( {
+        testGrowWithContent: function(){
+            var _accordion, _item, _body, _resized = false;
+
+            // without MutationObserver only loaded images are noticed, added nodes are not watched at all
+            if( !window.MutationObserver ){
+                return;
+            }
+
+            _accordion = createAccordion( {
+                items: [
+                    {
+                        label: "Auto item",
+                        expanded: true,
+                        bodyContent: '<div style="height: 50px;">First</div><div style="height: 50px;">Second</div>'
+                    }
+                ]
+            });
+
+            _item = _accordion.getItem( 0 );
+            _body = _item.getStdModNode( Y.WidgetStdMod.BODY );
+
+            Y.Assert.areEqual( 100, _body.get( "offsetHeight" ), "All children must be measured" );
+
+            _accordion.after( "itemResized", function( e ){
+                _resized = true;
+            });
+
+            _body.appendChild( Y.Node.create( '<div style="height: 50px;">Third</div>' ) );
+
+            this.wait( function(){
+                Y.Assert.areEqual( 150, _body.get( "offsetHeight" ), "The item must follow its content" );
+                Y.Assert.isTrue( _resized, "itemResized must be fired" );
+
+                destroyAccordion( _accordion );
+            }, 500 );
+        },
+
+        testContentChangeDuringAnimation: function(){
+            var _accordion, _item, _body;
+
+            if( !window.MutationObserver ){
+                return;
+            }
+
+            _accordion = createAccordion( {
+                useAnimation: true,
+                items: [
+                    {
+                        label: "Animated auto item",
+                        bodyContent: '<div style="height: 50px;">First</div>'
+                    }
+                ]
+            });
+
+            _item = _accordion.getItem( 0 );
+            _body = _item.getStdModNode( Y.WidgetStdMod.BODY );
+
+            _accordion.expandItem( _item );
+            _body.appendChild( Y.Node.create( '<div style="height: 50px;">Added while expanding</div>' ) );
+
+            this.wait( function(){
+                Y.Assert.areEqual( 100, _body.get( "offsetHeight" ), "The change during the animation must not be lost" );
+
+                destroyAccordion( _accordion );
+            }, 2000 );
+        }
+    });
+
+    var testOverflow = new Y.Test.Case( {
+        testOverflowAndScrollPosition: function(){
+            var _accordion, _item1, _item2, _body;
+
+            _accordion = createAccordion( {
+                overflow: "auto",
+                items: [
+                    {
+                        label: "Scrollable",
+                        expanded: true,
+                        overflow: "scroll",
+                        contentHeight: { method: "fixed", height: 50 },
+                        bodyContent: '<div style="height: 300px;">Long content</div>'
+                    },
+                    {
+                        label: "Inherited",
+                        contentHeight: { method: "fixed", height: 50 }
+                    }
+                ]
+            });
+
+            _item1 = _accordion.getItem( 0 );
+            _item2 = _accordion.getItem( 1 );
+            _body = _item1.getStdModNode( Y.WidgetStdMod.BODY );
+
+            Y.Assert.areEqual( "scroll", _body.getStyle( "overflow" ), "The item's overflow must be applied" );
+
+            _body.set( "scrollTop", 100 );
+
+            _accordion.expandItem( _item2 );
+
+            Y.Assert.areEqual( "hidden", _body.getStyle( "overflow" ), "Collapsed item must have hidden overflow" );
+            Y.Assert.areEqual( "auto", _item2.getStdModNode( Y.WidgetStdMod.BODY ).getStyle( "overflow" ), "Accordion's overflow must be inherited" );
+
+            _accordion.expandItem( _item1 );
+
+            Y.Assert.areEqual( 100, _body.get( "scrollTop" ), "The scroll position must be restored" );
+
+            destroyAccordion( _accordion );
+        }
+    });
+
+    var testMaxExpanded = new Y.Test.Case( {
+        testCollapseLeastRecentlyExpanded: function(){
+            var _accordion, _items;
+
+            _accordion = createAccordion( {
+                collapseOthersOnExpand: false,
+                maxExpanded: 2,
+                items: [
+                    { label: "Limit 1" },
+                    { label: "Limit 2" },
+                    { label: "Limit 3" },
+                    { label: "Limit 4" }
+                ]
+            });
+
+            _items = _accordion.get( "items" ).concat();
+
+            _accordion.expandItem( _items[2] );
+            _accordion.expandItem( _items[0] );
+            _accordion.expandItem( _items[1] );
+
+            Y.Assert.areSame( false, _items[2].get( "expanded" ), "The least recently expanded item must be collapsed" );
+            Y.Assert.areSame( _items[0], _accordion.getExpandedItems()[0], "Item 0 must be the least recently expanded one" );
+            Y.Assert.areSame( _items[1], _accordion.getExpandedItems()[1], "Item 1 must be the most recently expanded one" );
+
+            _items[0].set( "alwaysVisible", true );
+            _accordion.expandItem( _items[3] );
+
+            Y.Assert.areSame( true, _items[0].get( "expanded" ), "Always visible item must stay expanded" );
+            Y.Assert.areSame( false, _items[1].get( "expanded" ), "Item 1 must be collapsed instead" );
+            Y.Assert.areSame( true, _items[3].get( "expanded" ), "Item 3 must be expanded" );
+
+            destroyAccordion( _accordion );
+        }
+    });
+
+    var testRequireExpanded = new Y.Test.Case( {
+        testBlockCollapsingLastItem: function(){
+            var _accordion, _items, _blocked = [];
+
+            _accordion = createAccordion( {
+                requireExpanded: 1,
+                items: [
+                    { label: "Required 1", expanded: true },
+                    { label: "Required 2" }
+                ]
+            });
+
+            _items = _accordion.get( "items" ).concat();
+
+            _accordion.on( "itemCollapseBlocked", function( attrs ){
+                _blocked.push( attrs.item );
+            });
+
+            Y.Assert.areSame( false, _accordion.collapseItem( _items[0] ), "Collapsing of the last expanded item must fail" );
+            Y.Assert.areSame( true, _items[0].get( "expanded" ), "Item 0 must stay expanded after API call" );
+
+            _items[0].set( "expanded", false );
+            Y.Assert.areSame( true, _items[0].get( "expanded" ), "Item 0 must stay expanded after setting the attribute" );
+
+            Y.Event.simulate( Y.Node.getDOMNode( _items[0].get( "nodeLabel" ) ), "click" );
+            Y.Assert.areSame( true, _items[0].get( "expanded" ), "Item 0 must stay expanded after click" );
+            Y.Assert.areSame( 3, _blocked.length, "itemCollapseBlocked must be fired for every blocked collapsing" );
+
+            _accordion.expandItem( _items[1] );
+            Y.Assert.areSame( false, _items[0].get( "expanded" ), "Item 0 must be collapsed implicitly" );
+            Y.Assert.areSame( true, _items[1].get( "expanded" ), "Item 1 must be expanded" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testBlockedAttributeChange: function(){
+            var _accordion, _item, _blocked = 0, _beforeCollapse = 0, _changed = 0;
+
+            _accordion = createAccordion( {
+                requireExpanded: 1,
+                items: [
+                    { label: "Required 1", expanded: true },
+                    { label: "Required 2" }
+                ]
+            });
+
+            _item = _accordion.getItem( 0 );
+
+            _accordion.on( "itemCollapseBlocked", function( attrs ){
+                _blocked++;
+            });
+
+            _accordion.on( "beforeItemCollapse", function( attrs ){
+                _beforeCollapse++;
+            });
+
+            _item.after( "expandedChange", function( attrs ){
+                _changed++;
+            });
+
+            _item.set( "expanded", false );
+
+            Y.Assert.areSame( true, _item.get( "expanded" ), "Item 0 must stay expanded" );
+            Y.Assert.areSame( 1, _blocked, "itemCollapseBlocked must be fired" );
+            Y.Assert.areSame( 0, _beforeCollapse, "beforeItemCollapse must not be fired for blocked collapsing" );
+            Y.Assert.areSame( 0, _changed, "expandedChange must not be fired for blocked collapsing" );
+
+            destroyAccordion( _accordion );
+        }
+    });
+
+    var testDisabled = new Y.Test.Case( {
+        _click: function( node ){
+            Y.Event.simulate( Y.Node.getDOMNode( node ), "click" );
+        },
+
+        _pressKey: function( item, keyCode ){
+            Y.Event.simulate( Y.Node.getDOMNode( item.getStdModNode( Y.WidgetStdMod.HEADER ) ), "keydown", { keyCode: keyCode } );
+        },
+
+        testDisabledItem: function(){
+            var _accordion, _items;
+
+            _accordion = createAccordion( {
+                items: [
+                    { label: "Disabled 1", expanded: true },
+                    { label: "Disabled 2" },
+                    { label: "Disabled 3" }
+                ]
+            });
+
+            _items = _accordion.get( "items" ).concat();
+
+            _items[0].set( "disabled", true );
+
+            Y.Assert.isTrue( _items[0].get( "boundingBox" ).hasClass( "yui-accordion-item-disabled" ), "Disabled item must have disabled class" );
+            Y.Assert.areEqual( "true", _items[0].get( "nodeLabel" ).getAttribute( "aria-disabled" ), "The label must be marked as disabled" );
+
+            this._click( _items[0].get( "nodeLabel" ) );
+            Y.Assert.areSame( true, _items[0].get( "expanded" ), "Click on disabled item must be ignored" );
+
+            this._click( _items[1].get( "nodeLabel" ) );
+            Y.Assert.areSame( true, _items[1].get( "expanded" ), "Item 1 must be expanded" );
+            Y.Assert.areSame( true, _items[0].get( "expanded" ), "Disabled item must not be collapsed implicitly" );
+
+            this._pressKey( _items[1], 40 );
+            Y.Assert.areEqual( 0, _items[2].get( "nodeLabel" ).get( "tabIndex" ), "Navigation must move to item 2" );
+
+            this._pressKey( _items[2], 40 );
+            Y.Assert.areEqual( 0, _items[1].get( "nodeLabel" ).get( "tabIndex" ), "Navigation must skip disabled item" );
+            Y.Assert.areEqual( -1, _items[0].get( "nodeLabel" ).get( "tabIndex" ), "Disabled item must be out of the tab order" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testDisabledAccordion: function(){
+            var _accordion, _items;
+
+            _accordion = createAccordion( {
+                items: [
+                    { label: "Disabled 1", closable: true },
+                    { label: "Disabled 2" }
+                ]
+            });
+
+            _items = _accordion.get( "items" ).concat();
+
+            _accordion.set( "disabled", true );
+
+            Y.Assert.areEqual( "true", _accordion.get( "contentBox" ).getAttribute( "aria-disabled" ), "Accordion must be marked as disabled" );
+
+            this._click( _items[1].get( "nodeLabel" ) );
+            Y.Assert.areSame( false, _items[1].get( "expanded" ), "Click in disabled Accordion must be ignored" );
+
+            this._click( _items[0].get( "iconClose" ) );
+            Y.Assert.areSame( 2, _accordion.get( "items" ).length, "Closing in disabled Accordion must be ignored" );
+
+            _accordion.set( "disabled", false );
+
+            this._click( _items[1].get( "nodeLabel" ) );
+            Y.Assert.areSame( true, _items[1].get( "expanded" ), "Item 1 must be expanded after enabling Accordion" );
+
+            destroyAccordion( _accordion );
+        }
+    });
+
+    var testHideShowItems = new Y.Test.Case( {
+        testHideItem: function(){
+            var _accordion, _items, _height;
+
+            function bodyHeight( item ){
+                return item.getStdModNode( Y.WidgetStdMod.BODY ).get( "offsetHeight" );
+            }
+
+            _accordion = createAccordion( {
+                collapseOthersOnExpand: false,
+                items: [
+                    { label: "Hidden 1", expanded: true, contentHeight: { method: "stretch" } },
+                    { label: "Hidden 2", expanded: true, contentHeight: { method: "fixed", height: 100 } },
+                    { label: "Hidden 3" }
+                ]
+            }, "height: 600px;" );
+
+            _items = _accordion.get( "items" ).concat();
+
+            _height = bodyHeight( _items[0] );
+
+            Y.Assert.isTrue( _accordion.hideItem( 1 ), "Item 1 must be hidden" );
+            Y.Assert.areSame( 1, _accordion.getItemIndex( _items[1] ), "Hidden item must keep its index" );
+            Y.Assert.isTrue( _items[1].get( "boundingBox" ).hasClass( "yui-accordion-item-hidden" ), "Hidden item must have hidden class" );
+            Y.Assert.isTrue( bodyHeight( _items[0] ) > _height, "Stretch item must take the space of hidden item" );
+
+            Y.Event.simulate( Y.Node.getDOMNode( _items[0].getStdModNode( Y.WidgetStdMod.HEADER ) ), "keydown", { keyCode: 40 } );
+            Y.Assert.areEqual( 0, _items[2].get( "nodeLabel" ).get( "tabIndex" ), "Navigation must skip hidden item" );
+
+            Y.Assert.isTrue( _accordion.showItem( _items[1] ), "Item 1 must be shown" );
+            Y.Assert.areEqual( _height, bodyHeight( _items[0] ), "Stretch item must release the space" );
+            Y.Assert.areSame( true, _items[1].get( "expanded" ), "Shown item must keep its state" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testHiddenItemsAndMaxExpanded: function(){
+            var _accordion, _items;
+
+            _accordion = createAccordion( {
+                collapseOthersOnExpand: false,
+                maxExpanded: 2,
+                items: [
+                    { label: "Limit 1" },
+                    { label: "Limit 2" },
+                    { label: "Limit 3" }
+                ]
+            });
+
+            _items = _accordion.get( "items" ).concat();
+
+            _accordion.expandItem( _items[0] );
+            _accordion.expandItem( _items[1] );
+            _accordion.hideItem( _items[1] );
+
+            Y.Assert.areEqual( 1, _accordion.getExpandedItems().length, "Hidden item must not be returned as expanded" );
+
+            _accordion.expandItem( _items[2] );
+
+            Y.Assert.areSame( true, _items[0].get( "expanded" ), "Hidden item must not be counted by the limit" );
+            Y.Assert.areSame( true, _items[1].get( "expanded" ), "Hidden item must not be collapsed as the least recently expanded one" );
+
+            _accordion.showItem( _items[1] );
+
+            Y.Assert.areSame( false, _items[0].get( "expanded" ), "Shown item must be counted as just expanded" );
+            Y.Assert.areSame( _items[2], _accordion.getExpandedItems()[0], "Item 2 must be the least recently expanded one" );
+            Y.Assert.areSame( _items[1], _accordion.getExpandedItems()[1], "Shown item must be the most recently expanded one" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testHiddenItemsAndRequireExpanded: function(){
+            var _accordion, _items, _blocked = 0;
+
+            _accordion = createAccordion( {
+                collapseOthersOnExpand: false,
+                requireExpanded: 1,
+                items: [
+                    { label: "Required 1", expanded: true },
+                    { label: "Required 2", expanded: true }
+                ]
+            });
+
+            _items = _accordion.get( "items" ).concat();
+
+            _accordion.on( "itemCollapseBlocked", function(){
+                _blocked++;
+            });
+
+            _accordion.hideItem( _items[1] );
+
+            Y.Assert.isFalse( _accordion.collapseItem( _items[0] ), "Hidden item must not be counted as expanded" );
+            Y.Assert.areEqual( 1, _blocked, "itemCollapseBlocked must be fired" );
+
+            Y.Assert.isTrue( _accordion.collapseItem( _items[1] ), "Collapsing of hidden item must not be blocked" );
+            Y.Assert.areEqual( 1, _blocked, "itemCollapseBlocked must not be fired for hidden item" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testHiddenItemsAndCollapseOthers: function(){
+            var _accordion, _items;
+
+            _accordion = createAccordion( {
+                items: [
+                    { label: "Others 1", expanded: true },
+                    { label: "Others 2" }
+                ]
+            });
+
+            _items = _accordion.get( "items" ).concat();
+
+            _accordion.hideItem( _items[0] );
+            _accordion.expandItem( _items[1] );
+
+            Y.Assert.areSame( true, _items[0].get( "expanded" ), "Hidden item must not be collapsed implicitly" );
+
+            _accordion.showItem( _items[0] );
+
+            Y.Assert.areSame( false, _items[1].get( "expanded" ), "Shown expanded item must collapse the others" );
+
+            destroyAccordion( _accordion );
+        }
+    });
+
+    var testHeaderActions = new Y.Test.Case( {
+        setUp: function(){
+            var _that = this;
+
+            this._clicked = [];
+            this._handled = null;
+
+            this._accordion = createAccordion( {
+                items: [
+                    { label: "Actions 1" },
+                    { label: "Actions 2" }
+                ]
+            });
+
+            this._item = this._accordion.getItem( 0 );
+
+            this._item.addHeaderAction({
+                name: "refresh",
+                title: "Refresh",
+                className: "refresh-action",
+                handler: function( e ){
+                    _that._handled = this;
+                }
+            });
+
+            this._accordion.on( "itemActionClick", function( attrs ){
+                _that._clicked.push( attrs.name );
+            });
+        },
+
+        tearDown: function(){
+            destroyAccordion( this._accordion );
+        },
+
+        testAddRemoveAction: function(){
+            var _item = this._item, _action;
+
+            Y.Assert.isFalse( _item.addHeaderAction( { name: "refresh" } ), "Action names must be unique" );
+
+            _action = _item.getHeaderAction( "refresh" );
+
+            Y.Assert.isTrue( _item.get( "iconsContainer" ).contains( _action.node ), "The button must be placed in the header" );
+            Y.Assert.isTrue( _action.node.hasClass( "refresh-action" ), "The button must have the class name" );
+            Y.Assert.areSame( _action, _item.getHeaderActions()[0], "The action must be listed" );
+
+            Y.Event.simulate( Y.Node.getDOMNode( _action.node ), "click" );
+
+            Y.Assert.areSame( false, _item.get( "expanded" ), "Clicking an action must not toggle the item" );
+            Y.Assert.areEqual( "refresh", this._clicked[0], "itemActionClick must be fired" );
+            Y.Assert.areSame( _item, this._handled, "The handler must be invoked in the context of the item" );
+
+            Y.Assert.isTrue( _item.removeHeaderAction( "refresh" ), "The action must be removed" );
+            Y.Assert.isNull( _action.node.get( "parentNode" ), "The button must be removed from the header" );
+            Y.Assert.isNull( _item.getHeaderAction( "refresh" ), "The action must be not found" );
+        },
+
+        testKeyboardAccess: function(){
+            var _item = this._item, _item2, _action, _header;
+
+            _item2 = this._accordion.getItem( 1 );
+            _action = _item.getHeaderAction( "refresh" );
+
+            Y.Assert.areEqual( 0, _action.node.get( "tabIndex" ), "The action of the focused item must be in the tab order" );
+
+            Y.Event.simulate( Y.Node.getDOMNode( _action.node ), "keydown", { keyCode: 13 } );
+
+            Y.Assert.areSame( false, _item.get( "expanded" ), "Enter on an action must not toggle the item" );
+            Y.Assert.areEqual( "refresh", this._clicked[0], "Enter on an action must fire itemActionClick" );
+
+            Y.Event.simulate( Y.Node.getDOMNode( _action.node ), "keydown", { keyCode: 32 } );
+
+            Y.Assert.areEqual( 2, this._clicked.length, "Space on an action must fire itemActionClick" );
+
+            _header = Y.Node.getDOMNode( _item.getStdModNode( Y.WidgetStdMod.HEADER ) );
+            Y.Event.simulate( _header, "keydown", { keyCode: 40 } );
+
+            Y.Assert.areEqual( -1, _action.node.get( "tabIndex" ), "The action must leave the tab order with its item" );
+
+            Y.Assert.isTrue( _item2.addHeaderAction( { name: "settings" } ), "The action must be added" );
+            Y.Assert.areEqual( 0, _item2.getHeaderAction( "settings" ).node.get( "tabIndex" ), "New action of the focused item must be in the tab order" );
+        }
+    });
+
+    var testIconsVisibility = new Y.Test.Case( {
+        testHideIcons: function(){
+            var _accordion, _items;
+
+            _accordion = createAccordion( {
+                showIconAlwaysVisible: false,
+                items: [
+                    { label: "Icons 1" },
+                    { label: "Icons 2", showIconAlwaysVisible: true, showIconExpanded: false }
+                ]
+            });
+
+            _items = _accordion.get( "items" ).concat();
+
+            Y.Assert.isTrue( _items[0].get( "iconAlwaysVisible" ).hasClass( "yui-accordion-item-iconalwaysvisible-hidden" ), "Always visible icon of item 0 must be hidden" );
+            Y.Assert.isFalse( _items[1].get( "iconAlwaysVisible" ).hasClass( "yui-accordion-item-iconalwaysvisible-hidden" ), "Item setting must override Accordion's one" );
+            Y.Assert.isTrue( _items[1].get( "iconExpanded" ).hasClass( "yui-accordion-item-iconexpanded-hidden" ), "Expand icon of item 1 must be hidden" );
+
+            Y.Event.simulate( Y.Node.getDOMNode( _items[0].get( "iconAlwaysVisible" ) ), "click" );
+            Y.Assert.areSame( false, _items[0].get( "alwaysVisible" ), "Click on hidden always visible icon must not pin the item" );
+
+            _accordion.set( "showIconAlwaysVisible", true );
+            Y.Assert.isFalse( _items[0].get( "iconAlwaysVisible" ).hasClass( "yui-accordion-item-iconalwaysvisible-hidden" ), "Always visible icon of item 0 must be shown" );
+
+            Y.Event.simulate( Y.Node.getDOMNode( _items[0].get( "iconAlwaysVisible" ) ), "click" );
+            Y.Assert.areSame( true, _items[0].get( "alwaysVisible" ), "Click on shown always visible icon must pin the item" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testParseAccordionFromMarkup: function(){
+            var _accordion, _item;
+
+            _accordion = createAccordion( new Y.Accordion( {
+                useAnimation: false,
+                contentBox: Y.Node.create( '<div class="yui-accordion-noiconalwaysvisible" yuiConfig=\'{"showIconExpanded": false}\'>' +
+                    '<div class="yui-accordion-item"><div class="yui-widget-hd"></div><div class="yui-widget-bd">Markup</div></div>' +
+                    '</div>' )
+            }) );
+
+            _item = _accordion.getItem( 0 );
+
+            Y.Assert.areSame( false, _accordion.get( "showIconAlwaysVisible" ), "showIconAlwaysVisible must be parsed from class" );
+            Y.Assert.areSame( false, _accordion.get( "showIconExpanded" ), "showIconExpanded must be parsed from yuiConfig" );
+            Y.Assert.isTrue( _item.get( "iconAlwaysVisible" ).hasClass( "yui-accordion-item-iconalwaysvisible-hidden" ), "Always visible icon of the item must be hidden" );
+            Y.Assert.isTrue( _item.get( "iconExpanded" ).hasClass( "yui-accordion-item-iconexpanded-hidden" ), "Expand icon of the item must be hidden" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testParseFromMarkup: function(){
+            var _item;
+
+            _item = new Y.AccordionItem( {
+                contentBox: Y.Node.create( '<div class="yui-accordion-item yui-accordion-item-noiconalwaysvisible" yuiConfig=\'{"showIconExpanded": false}\'></div>' )
+            });
+
+            Y.Assert.areSame( false, _item.get( "showIconAlwaysVisible" ), "showIconAlwaysVisible must be parsed from class" );
+            Y.Assert.areSame( false, _item.get( "showIconExpanded" ), "showIconExpanded must be parsed from yuiConfig" );
+
+            _item.destroy();
+        }
+    });
+
+    var testLabels = new Y.Test.Case( {
+        testTextAndHTMLLabels: function(){
+            var _accordion, _items, _nodeLabel;
+
+            _accordion = createAccordion( {
+                items: [
+                    { label: "<b>Text</b> & more" },
+                    { label: "<b>HTML</b>", labelIsHTML: true }
+                ]
+            });
+
+            _items = _accordion.get( "items" ).concat();
+
+            _nodeLabel = _items[0].get( "nodeLabel" );
+            Y.Assert.isNull( _nodeLabel.query( "b" ), "Text label must be escaped" );
+            Y.Assert.areEqual( "<b>Text</b> & more", _nodeLabel.get( "text" ), "Text label must be shown as it is" );
+
+            Y.Assert.isNotNull( _items[1].get( "nodeLabel" ).query( "b" ), "HTML label must be rendered as HTML" );
+
+            _items[0].set( "label", "<i>Changed</i>" );
+            Y.Assert.isNull( _nodeLabel.query( "a" ), "The label must not contain nested links" );
+            Y.Assert.isNull( _nodeLabel.query( "i" ), "Changed label must be escaped" );
+            Y.Assert.areEqual( "<i>Changed</i>", _nodeLabel.get( "text" ), "Changed label must be shown" );
+
+            destroyAccordion( _accordion );
+        },
+
+        testLabelInDragProxy: function(){
+            var _accordion, _header, _start, _proxy, _doc;
+
+            _accordion = createAccordion( {
+                reorderItems: true,
+                items: [
+                    { label: "<i>Dragged</i>" },
+                    { label: "Label 2" }
+                ]
+            });
+
+            _doc = Y.get( "document" );
+            _header = _accordion.getItem( 0 ).getStdModNode( Y.WidgetStdMod.HEADER );
+            _start = _header.get( "region" );
+            _start = [ _start.left + 10, _start.top + 5 ];
+
+            simulateMouse( _header, "mousedown", _start );
+            simulateMouse( _doc, "mousemove", [ _start[0], _start[1] + 10 ] );
+
+            _proxy = Y.get( ".yui-accordion-proxyel-visible" );
+
+            Y.Assert.isNotNull( _proxy, "The drag proxy must be shown" );
+            Y.Assert.isNull( _proxy.query( "i" ), "The label must be escaped in the drag proxy too" );
+            Y.Assert.areEqual( "<i>Dragged</i>", _proxy.get( "text" ), "The drag proxy must show the label" );
+
+            simulateMouse( _doc, "mouseup", [ _start[0], _start[1] + 10 ] );
+
+            destroyAccordion( _accordion );
+        },
+
+        testParseLabelsFromMarkup: function(){
+            var _accordion, _items;
+
+            _accordion = createAccordion( new Y.Accordion( {
+                useAnimation: false,
+                contentBox: Y.Node.create( [
+                    '<div>',
+                        '<div class="yui-accordion-item">',
+                            '<div class="yui-widget-hd"><a class="yui-accordion-item-label"><b>Text</b> label</a></div>',
+                            '<div class="yui-widget-bd">Text</div>',
+                        '</div>',
+                        '<div class="yui-accordion-item" yuiConfig=\'{"labelIsHTML": true}\'>',
+                            '<div class="yui-widget-hd"><a class="yui-accordion-item-label"><b>HTML</b> label</a></div>',
+                            '<div class="yui-widget-bd">HTML</div>',
+                        '</div>',
+                    '</div>'
+                ].join( '' ) )
+            }) );
+
+            _items = _accordion.get( "items" ).concat();
+
+            Y.Assert.areEqual( "Text label", _items[0].get( "label" ), "Label must be parsed as text" );
+            Y.Assert.isNull( _items[0].get( "nodeLabel" ).query( "b" ), "Parsed text label must be escaped" );
+
+            Y.Assert.isTrue( _items[1].get( "labelIsHTML" ), "labelIsHTML must be parsed from yuiConfig" );
+            Y.Assert.areEqual( "<b>html</b> label", _items[1].get( "label" ).toLowerCase(), "Label must be parsed as HTML" );
+            Y.Assert.isNotNull( _items[1].get( "nodeLabel" ).query( "b" ), "Parsed HTML label must be rendered as HTML" );
+
+            destroyAccordion( _accordion );
+        }
+    });
+
     //////////////////////////////////////////////////////////////////////////////////////
     
     var _console = new Y.Console({
@@ -370,6 +2138,30 @@ YUI({
     Y.Test.Runner.add(testAddItemsFromScript);
     Y.Test.Runner.add(testCollapse);
     Y.Test.Runner.add(testClosable);
+    Y.Test.Runner.add(testKeyboardNavigation);
+    Y.Test.Runner.add(testARIA);
+    Y.Test.Runner.add(testPublicAPI);
+    Y.Test.Runner.add(testVetoEvents);
+    Y.Test.Runner.add(testNestedAccordion);
+    Y.Test.Runner.add(testHorizontalOrientation);
+    Y.Test.Runner.add(testLazyContent);
+    Y.Test.Runner.add(testPersistence);
+    Y.Test.Runner.add(testSerialization);
+    Y.Test.Runner.add(testMoveItem);
+    Y.Test.Runner.add(testTransferItem);
+    Y.Test.Runner.add(testDropPosition);
+    Y.Test.Runner.add(testTouch);
+    Y.Test.Runner.add(testWeightedStretch);
+    Y.Test.Runner.add(testResizableItems);
+    Y.Test.Runner.add(testContentResync);
+    Y.Test.Runner.add(testOverflow);
+    Y.Test.Runner.add(testMaxExpanded);
+    Y.Test.Runner.add(testRequireExpanded);
+    Y.Test.Runner.add(testDisabled);
+    Y.Test.Runner.add(testHideShowItems);
+    Y.Test.Runner.add(testHeaderActions);
+    Y.Test.Runner.add(testIconsVisibility);
+    Y.Test.Runner.add(testLabels);
     
 
     this._accordion.after( "render", function(){